@@ -12,16 +12,18 @@
  * Aristochart's constructor.
  *
  * @param {Object} element The DOM element container or canvas to use
- * @param {Object} options See Options.
+ * @param {Object} options See Options. Pass options.context to draw to a 2D
+ *                         context without a canvas or the DOM.
  * @param {Object} theme A theme object. See Aristochart.themes.
  */
 var Aristochart = function(element, options, theme) {
 	// Sort out the default parameters
-	if(!element || !element.DOCUMENT_NODE) options = element, element = document.createElement("canvas");
+	if(!element || !element.DOCUMENT_NODE) options = element, element = undefined;
 
 	// Make sure all good options are there
 	if(!options || !options.data) throw new Error("Please provide some data to plot.");
-	if(!options.data.y || !options.data.x) throw new Error("Please provide some data.x and data.y");
+	if(!options.data.y) throw new Error("Please provide some data.x and data.y");
+	if(!options.data.x && !Aristochart._normalizeSeries(options.data.y).x) throw new Error("Please provide some data.x or x values with data.y");
 
 	// Edit some options
 	if(options.width && !options.height) options.height = Math.floor(options.width * 0.67);
@@ -35,6 +37,14 @@ var Aristochart = function(element, options, theme) {
 	this.theme = theme;
 	this.data = this.options.data;
 
+	// Axes given steps without saying how to tick are split into those steps
+	[this.theme, this.options].forEach(function(options) {
+		if(options && options.axis) ["x", "y", "y2"].forEach(function(name) {
+			var axis = options.axis[name];
+			if(axis && axis.steps != undefined && axis.ticks == undefined) axis.ticks = "steps";
+		});
+	});
+
 	// Merge the theme with the options.
 	if(this.theme) this.defaults = Aristochart._deepMerge(this.defaults, this.theme);
 
@@ -46,50 +56,228 @@ var Aristochart = function(element, options, theme) {
 		for(var key in this.options.style["default"]) 
 			this.options.style[style] = Aristochart._deepMerge(this.options.style["default"], this.options.style[style]);
 
-	// Sort out indexes
-	this.indexes = [], that = this;
-	["fill", "axis", "tick", "line", "point", "label", "title"].forEach(function(feature) {
-		//Set the feature in the array at it's index
-		if(that.indexes[that.options[feature].index]) throw new Error("Conflicting indexes in Aristochart");
-		else that.indexes[that.options[feature].index] = feature;
+	// Sort out indexes, features are rendered in order of their index
+	var that = this;
+	this.indexes = Object.keys(Aristochart.features).sort(function(a, b) {
+		return that.options[a].index - that.options[b].index;
 	});
 
-	//Compress the array to just the indexes
-	this.indexes = this.indexes.filter(function(val) {
-		if(val) return true;
+	this.indexes.forEach(function(feature, i, indexes) {
+		if(i && that.options[feature].index == that.options[indexes[i - 1]].index) throw new Error("Conflicting indexes in Aristochart");
 	});
 
-	// Set the canvas
-	if(this.canvas.getContext) this.ctx = this.canvas.getContext("2d");
+	// Set the canvas. An injected context is drawn to as is, without the DOM.
+	if(this.options.context) {
+		this.ctx = this.options.context;
+		this.canvas = this.ctx.canvas || {};
+	} else if(this.canvas && this.canvas.getContext) this.ctx = this.canvas.getContext("2d");
 	else {
 		var canvas = document.createElement("canvas");
-		this.canvas.appendChild(canvas);
+		if(this.canvas) this.canvas.appendChild(canvas);
 		this.canvas = canvas;
 		this.ctx = canvas.getContext("2d");
 	}
 
-	// Set the width and height of the canvas
-	this.canvas.height = this.options.height;
-	this.canvas.width = this.options.width;
+	// Fit the container in responsive mode, keeping the aspect ratio
+	this.aspect = this.options.height/this.options.width;
+	var responsive = this.options.responsive && this.canvas.parentNode && !this.options.context;
 
-	// Fix for retina and other screen resolutions
-	if(window.devicePixelRatio > 1) {
-		this.canvas.style.height = this.canvas.height + "px";
-		this.canvas.style.width = this.canvas.width + "px";
-		this.canvas.height = this.canvas.height * window.devicePixelRatio;
-		this.canvas.width = this.canvas.width * window.devicePixelRatio;
+	if(responsive) {
+		var size = this.containerSize();
+		if(size.width && size.height) this.options.width = size.width, this.options.height = size.height;
 	}
 
-	// Set the resolution
-	this.resolution = window.devicePixelRatio || 1;
+	// Set the resolution and size the canvas for it
+	this.resolution = Aristochart._pixelRatio(this.options.context);
+	Aristochart._sizeCanvas(this.canvas, this.options.width, this.options.height, this.resolution);
+
+	// The lines hidden from the legend and the opacity of lines fading in or out
+	this.hidden = {};
+	this.opacity = {};
+
+	// The event handlers, <event> : [<handler>]. See on.
+	this.listeners = {};
+
+	// Listen for the pointer
+	if(this.canvas.addEventListener) this.bindEvents();
+
+	// Watch the container and screen for changes in size
+	if(responsive) this.bindResize();
 
 	//Update/initlize the graph variables
 	this.update()
 
+	// Describe the data for screen readers, setData and flush keep it up to date
+	this.refreshAccessibility();
+
 	// And render this bitch
 	if(this.options.render) this.render();
 };
 
+/**
+ * Bind the pointer events for the legend, tooltip and zooming to the canvas.
+ * @return {null}
+ */
+Aristochart.prototype.bindEvents = function() {
+	var that = this,
+		canvas = this.canvas,
+		drag = null, // The last pointer position while panning
+		pinch = null, // The last distance between two touches while pinching
+		hovered = null; // The point last under the pointer
+
+	function zooming() { return that.options.zoom.enabled; }
+
+	// The y bounds in the space they're plotted linearly in, so log axes zoom
+	// and pan evenly and never reach zero
+	function scaled() {
+		var axis = that.options.axis.y,
+			min = Aristochart.scale[axis.scale](that.y.min, axis),
+			max = Aristochart.scale[axis.scale](that.y.max, axis);
+
+		return {
+			min: min,
+			range: max - min,
+			fixed: that.options.zoom.xOnly || !isFinite(max - min),
+			unscale: function(value) { return Aristochart._unscale(value, axis); }
+		};
+	}
+
+	// Zoom by a scale around a raster point, keeping that point still
+	function zoom(scale, point) {
+		var box = that.box, x = that.x, y = scaled(), viewport = that.viewport || {},
+			fx = (point.x - box.x)/box.x1,
+			fy = (box.y + box.y1 - point.y)/box.y1,
+			cx = x.min + (fx * x.range),
+			cy = y.min + (fy * y.range);
+
+		that.setViewport({
+			xMin: cx - (fx * x.range * scale),
+			xMax: cx + ((1 - fx) * x.range * scale),
+			yMin: (y.fixed) ? viewport.yMin : y.unscale(cy - (fy * y.range * scale)),
+			yMax: (y.fixed) ? viewport.yMax : y.unscale(cy + ((1 - fy) * y.range * scale))
+		});
+	}
+
+	// Pan by a raster distance
+	function pan(dx, dy) {
+		var viewport = that.viewport || {},
+			y = scaled(),
+			x = (dx/that.box.x1) * that.x.range,
+			sy = (dy/that.box.y1) * y.range;
+
+		that.setViewport({
+			xMin: that.x.min - x,
+			xMax: that.x.max - x,
+			yMin: (y.fixed) ? viewport.yMin : y.unscale(y.min + sy),
+			yMax: (y.fixed) ? viewport.yMax : y.unscale(y.min + y.range + sy)
+		});
+	}
+
+	function distance(touches) {
+		return Math.sqrt(Math.pow(touches[0].clientX - touches[1].clientX, 2) + Math.pow(touches[0].clientY - touches[1].clientY, 2));
+	}
+
+	// Show the tooltip for the point under the pointer
+	["mousemove", "touchstart", "touchmove"].forEach(function(type) {
+		canvas.addEventListener(type, function(event) {
+			if(!that.options.style.default.tooltip.visible || drag || pinch) return;
+			var point = Aristochart._eventPoint(canvas, event);
+			that.hover(point.x, point.y);
+		});
+	});
+
+	["mouseout", "touchend"].forEach(function(type) {
+		canvas.addEventListener(type, function() {
+			if(that.options.style.default.tooltip.visible) that.hover();
+		});
+	});
+
+	// The point within the tooltip radius of the pointer
+	function pointAt(point) {
+		var nearest = that.nearest(point.x, point.y);
+		return (nearest && nearest.distance <= that.options.tooltip.radius * that.resolution) ? nearest : null;
+	}
+
+	// Emit pointHover as the pointer moves onto a point
+	canvas.addEventListener("mousemove", function(event) {
+		if(drag) return;
+		var nearest = pointAt(Aristochart._eventPoint(canvas, event));
+		if(nearest && (!hovered || nearest.point !== hovered.point)) that.emit("pointHover", nearest.line, nearest.point, event);
+		hovered = nearest;
+	});
+
+	canvas.addEventListener("mouseout", function() { hovered = null; });
+
+	// Toggle lines by clicking on their legend entry, otherwise emit pointClick
+	canvas.addEventListener("click", function(event) {
+		var point = Aristochart._eventPoint(canvas, event),
+			legend = false;
+
+		(that.legend || []).forEach(function(item) {
+			if(point.x >= item.x && point.x <= item.x1 && point.y >= item.y && point.y <= item.y1) that.toggle(item.line), legend = true;
+		});
+
+		var nearest = !legend && pointAt(point);
+		if(nearest) that.emit("pointClick", nearest.line, nearest.point, event);
+	});
+
+	// Zoom with the mouse wheel, pan by dragging and reset with a double click
+	canvas.addEventListener("wheel", function(event) {
+		if(!zooming()) return;
+		event.preventDefault();
+		zoom(Math.pow(1 + that.options.zoom.speed, (event.deltaY > 0) ? 1 : -1), Aristochart._eventPoint(canvas, event));
+	});
+
+	canvas.addEventListener("mousedown", function(event) {
+		if(zooming()) drag = Aristochart._eventPoint(canvas, event);
+	});
+
+	canvas.addEventListener("mousemove", function(event) {
+		if(!drag) return;
+		var point = Aristochart._eventPoint(canvas, event);
+		pan(point.x - drag.x, point.y - drag.y);
+		drag = point;
+	});
+
+	["mouseup", "mouseout"].forEach(function(type) {
+		canvas.addEventListener(type, function() { drag = null; });
+	});
+
+	canvas.addEventListener("dblclick", function() {
+		if(zooming()) that.resetZoom();
+	});
+
+	// Pan with one finger and pinch to zoom with two
+	canvas.addEventListener("touchstart", function(event) {
+		if(!zooming()) return;
+		if(event.touches.length > 1) pinch = distance(event.touches), drag = null;
+		else drag = Aristochart._eventPoint(canvas, event);
+	});
+
+	canvas.addEventListener("touchmove", function(event) {
+		if(!zooming()) return;
+		event.preventDefault();
+
+		if(pinch && event.touches.length > 1) {
+			var current = distance(event.touches),
+				a = Aristochart._eventPoint(canvas, { clientX: event.touches[0].clientX, clientY: event.touches[0].clientY }),
+				b = Aristochart._eventPoint(canvas, { clientX: event.touches[1].clientX, clientY: event.touches[1].clientY });
+
+			zoom(pinch/current, { x: (a.x + b.x)/2, y: (a.y + b.y)/2 });
+			pinch = current;
+		} else if(drag) {
+			var point = Aristochart._eventPoint(canvas, event);
+			pan(point.x - drag.x, point.y - drag.y);
+			drag = point;
+		}
+	});
+
+	canvas.addEventListener("touchend", function(event) {
+		if(event.touches.length < 2) pinch = null;
+		if(!event.touches.length) drag = null;
+	});
+};
+
 /**
  * Deep merge two object a and b
  *
@@ -103,276 +291,2415 @@ Aristochart._deepMerge = function(defaults, options) {
 	return (function recur(defaults, options) {
 		for(var key in defaults) {
 			if(options[key] == undefined) options[key] = defaults[key];
-			else if(defaults[key] instanceof Object) options[key] = recur(defaults[key], options[key]);
+			else if(defaults[key] instanceof Object && !Array.isArray(defaults[key])) options[key] = recur(defaults[key], options[key]); // Arrays are replaced whole
 		}
 		return options;
 	})(defaults, options)
 };
 
 /**
- * Refresh the graph y bounds from the supplied data.
- * @return {null} 
+ * Watch the container for changes in size and the screen for changes in pixel
+ * ratio, like when the window moves to another monitor, and resize to fit.
+ * @return {null}
  */
-Aristochart.prototype.refreshBounds = function() {
-	// Since you can have multiple Y lines, we have to iterate through and
-	// get the max.
-	// Get absolute max
-	var yMax = -Infinity;
-	var yMin = Infinity;
-	for(var key in this.data) {
-		if(key !== "x") {
-			var max = -Infinity, min = Infinity;
-			this.data[key].forEach(function(v) { if(v > max) max = v; if(v < min) min = v; });
-			yMax = (max > yMax) ? max : yMax;
-			yMin = (min < yMin) ? min : yMin;
-		}
-	}
+Aristochart.prototype.bindResize = function() {
+	var that = this;
 
-	this.y = {
-		//Check if manually overrided
-		max: (this.options.axis.y.max == undefined) ? yMax : this.options.axis.y.max,
-		min: (this.options.axis.y.min == undefined) ? yMin : this.options.axis.y.min,
-	};
+	function resize() { that.resize(); }
 
-	this.y.range = this.y.max - this.y.min;
+	if(window.ResizeObserver) new ResizeObserver(resize).observe(this.canvas.parentNode);
+	else window.addEventListener("resize", resize);
 
-	//Now x. Only one x line.
-	if(this.data.x.length == 1 || typeof this.data.x == "number") this.x = {min: 0, max: this.data.x[0] || this.data.x };
-	else this.x = {min: this.data.x[0], max: this.data.x[this.data.x.length - 1] };
+	// Media queries only match a single ratio so watch the new one after a change
+	(function watch() {
+		if(!window.matchMedia) return;
 
-	this.x.range = this.x.max - this.x.min;
-}
+		var query = window.matchMedia("(resolution: " + that.resolution + "dppx)");
+		query.addListener(function change() {
+			query.removeListener(change);
+			resize();
+			watch();
+		});
+	})();
+};
 
 /**
- * Updates Aristochart's variables such as maxes and mins of the graphs
- * @return {null} 
+ * Get the size of the chart in its container. The width is the container's,
+ * the height keeps the chart's aspect ratio or is the container's with
+ * responsive set to "fill".
+ * @return {Object} {width, height} in CSS pixels
  */
-Aristochart.prototype.update = function() {
-
-	// Apply the resolution to all the dimensions
-	var resolution = this.resolution;
-	this.options.margin *= resolution;
-	this.options.padding *= resolution;
-	this.options.width *= resolution;
-	this.options.height *= resolution;
+Aristochart.prototype.containerSize = function() {
+	var container = this.canvas.parentNode,
+		width = container.clientWidth;
 
-	// Calculate the bounding box
-	this.box = {
-		x: this.options.margin, 
-		y: this.options.margin, 
-		x1: this.options.width - (2*this.options.margin), 
-		y1: this.options.height - (2*this.options.margin)
+	return {
+		width: width,
+		height: (this.options.responsive == "fill") ? container.clientHeight : Math.floor(width * this.aspect)
 	};
+};
 
-	// Refresh the bounds of the graph
-	this.refreshBounds();
+/**
+ * Resize the chart, lay it out again and re-render. The pixel ratio of the
+ * screen is checked again too.
+ * @param  {Number} width  (optional) The width in CSS pixels. Defaults to the container's in responsive mode or the current width.
+ * @param  {Number} height (optional) The height in CSS pixels
+ * @return {null}
+ */
+Aristochart.prototype.resize = function(width, height) {
+	var size = (this.options.responsive && this.canvas.parentNode && !this.options.context) ? this.containerSize() : this.dimensions,
+		resolution = Aristochart._pixelRatio(this.options.context);
 
-	//Get the data set the lines and origin properties
-	var data = this.getPoints();
-	this.lines = data.lines;
-	this.origin = data.origin;
+	width = width || size.width;
+	height = height || size.height;
 
-	//Update the axis dimensions
-	var padding = this.options.padding,
-		box = this.box;
+	// Hidden containers have no size
+	if(!width || !height) return;
+	if(width == this.dimensions.width && height == this.dimensions.height && resolution == this.resolution) return;
 
-	this.axis = {
-		x: {
-			x: box.x - padding,
-			y: (box.y + box.y1 + padding),
-			x1: that.box.x + box.x1 + padding,
-			y1: (box.y + box.y1+ padding)
-		},
+	this.dimensions.width = width;
+	this.dimensions.height = height;
+	this.resolution = resolution;
+	Aristochart._sizeCanvas(this.canvas, width, height, resolution);
 
-		y: {
-			x: (box.x - padding),
-			y: box.y - padding,
-			x1: (box.x - padding),
-			y1: box.y + box.y1 + padding
-		}
-	};
+	// The tooltip's points are from the old layout
+	this.tooltip = null;
+
+	this.update();
+	if(this.options.render) this.render();
 };
 
 /**
- * Render the graph and data
- * @return {null} 
+ * Listen for an event on the chart. Handlers are called with the chart as this.
+ *
+ * beforeRender, afterRender
+ * beforeFeature, afterFeature (feature) Around each feature in <instance>.indexes
+ * dataChange (data)                     After setData or appended data is applied
+ * resize (width, height)                After the chart is laid out at a new size
+ * pointHover (line, point, event)       The pointer moved onto a point
+ * pointClick (line, point, event)       A point was clicked
+ *
+ * @param  {String}   event   The event name
+ * @param  {Function} handler The handler
+ * @return {Aristochart}      The chart, for chaining
  */
-Aristochart.prototype.render = function() {
+Aristochart.prototype.on = function(event, handler) {
+	(this.listeners[event] = this.listeners[event] || []).push(handler);
+	return this;
+};
 
+/**
+ * Stop listening for an event. Leave out the handler to remove them all.
+ * @param  {String}   event   The event name
+ * @param  {Function} handler (optional) The handler passed to on
+ * @return {Aristochart}      The chart, for chaining
+ */
+Aristochart.prototype.off = function(event, handler) {
+	if(!handler) delete this.listeners[event];
+	else if(this.listeners[event]) this.listeners[event] = this.listeners[event].filter(function(listener) {
+		return listener !== handler;
+	});
+
+	return this;
+};
+
+/**
+ * Call the handlers for an event.
+ * @param  {String} event The event name
+ * @param  {Mixed}  ...   The arguments passed to the handlers
+ * @return {null}
+ */
+Aristochart.prototype.emit = function(event) {
 	var that = this,
-		lines = this.lines,
-		origin = this.origin,
-		axis = this.axis,
-		defaults = that.options.style.default;
+		args = Array.prototype.slice.call(arguments, 1);
 
-	// Clear the canvas
-	this.canvas.width = this.canvas.width;
+	(this.listeners[event] || []).slice().forEach(function(handler) {
+		handler.apply(that, args);
+	});
+};
 
-	//Can't have floating steps now can we..
-	var stepX = Math.floor(this.options.axis.x.steps),
-		stepY = Math.floor(this.options.axis.y.steps);
+/**
+ * The pixel ratio of the screen.
+ * @param  {Boolean} headless Drawing without a screen, the ratio is always 1
+ * @return {Number}
+ */
+Aristochart._pixelRatio = function(headless) {
+	return (headless || typeof window == "undefined") ? 1 : window.devicePixelRatio || 1;
+};
 
-	//Create some temporary caching variables
-	var padding = this.options.padding,
-		box = this.box,
-		ox = origin.x,
-		oy = origin.y;
+/**
+ * Size a canvas for a pixel ratio. Its size on screen is fixed to the CSS
+ * size for retina and other screen resolutions.
+ * @param  {Object} canvas The canvas
+ * @param  {Number} width  The width in CSS pixels
+ * @param  {Number} height The height in CSS pixels
+ * @param  {Number} ratio  The pixel ratio
+ * @return {null}
+ */
+Aristochart._sizeCanvas = function(canvas, width, height, ratio) {
+	canvas.width = width * ratio;
+	canvas.height = height * ratio;
+
+	// Once fixed, keep it fixed in case the ratio drops back to 1
+	if(canvas.style && (ratio > 1 || canvas.style.width)) {
+		canvas.style.width = width + "px";
+		canvas.style.height = height + "px";
+	}
+};
 
-	// Iterate over indexes and render the features in order 
-	this.indexes.forEach(function(feature) {
-		switch(feature) {
-			case "point":
-				for(var line in lines)
-					if((that.options.style[line] || defaults).point.visible)
-						lines[line].forEach(function(obj) {
-							that.options.point.render.call(that, that.options.style[line] || defaults, obj.rx, obj.ry, obj.x, obj.y, obj.graph);
-						});
-			break;
+/**
+ * Whether a tick is a minor tick. Ticks that don't say alternate between
+ * major and minor.
+ * @param  {Object} tick The tick from getTicks
+ * @param  {Number} i    The tick's index
+ * @return {Boolean}
+ */
+Aristochart._minorTick = function(tick, i) {
+	return (tick && tick.minor != undefined) ? tick.minor : i % 2 != 0;
+};
 
-			case "axis":
-				if(defaults.axis.visible) {
-					if(defaults.axis.x.visible) {
-						that.options.axis.x.render.call(that, defaults, axis.x.x, (defaults.axis.y.fixed) ? axis.x.y : oy, axis.x.x1, (defaults.axis.y.fixed) ? axis.x.y1 : oy, "x");
-					}
+/**
+ * Refresh the accessibility after the data changes. Streamed data changes
+ * every frame, so it only catches up every accessibility.throttle ms.
+ *
+ * @private
+ * @return {null}
+ */
+Aristochart._queueAccessibility = function() {
+	var that = this,
+		throttle = this.options.accessibility.throttle;
 
-					if(defaults.axis.y.visible) {
-						that.options.axis.y.render.call(that, defaults, (defaults.axis.x.fixed) ? axis.y.x : ox, axis.y.y, (defaults.axis.x.fixed) ? axis.y.x1 : ox, axis.y.y1, "y");
-					}
-				}
-			break;
+	if(!throttle) return this.refreshAccessibility();
+	if(!this.accessibilityTimer) this.accessibilityTimer = setTimeout(function() {
+		that.accessibilityTimer = null;
+		that.refreshAccessibility();
+	}, throttle);
+};
 
-			case "line":
-				for(var line in lines) {
-					var style = that.options.style[line] || defaults;
-					if(style.line.visible) that.options.line.render.call(that, style, lines[line]);
-				}
-			break;
+/**
+ * Get the raster coordinates of a mouse or touch event on the canvas
+ *
+ * @private
+ * @param  {Object} canvas The canvas element
+ * @param  {Object} event  The mouse or touch event
+ * @return {Object}        {x, y} raster coordinates
+ */
+Aristochart._eventPoint = function(canvas, event) {
+	var rect = canvas.getBoundingClientRect(),
+		touch = (event.touches && event.touches[0]) || (event.changedTouches && event.changedTouches[0]) || event;
 
-			case "tick":
-				if(defaults.tick.visible) {
-					var disX = that.box.x1/(stepX),
-						disY = that.box.y1/(stepY);
+	return {
+		x: (touch.clientX - rect.left) * (canvas.width/rect.width),
+		y: (touch.clientY - rect.top) * (canvas.height/rect.height)
+	};
+};
 
-					for(var i = 0; i < (stepX + 1); i++) that.options.tick.render.call(that, defaults, that.box.x  + (disX * i), (defaults.tick.x.fixed) ? axis.x.y1 : oy, "x", i);
-					for(var i = 0; i < (stepY + 1); i++) that.options.tick.render.call(that, defaults, (defaults.tick.y.fixed) ? axis.y.x1 : ox, that.box.y + (disY * i), "y", i);
-				}
-			break;
+/**
+ * Normalise a series into parallel x and y arrays. A series can be given as an
+ * array of y values (spread evenly across the x axis or matched up with data.x
+ * if it's the same length), an array of {x, y} pairs or an object of parallel
+ * {x: [], y: []} arrays.
+ *
+ * @private
+ * @param  {Array|Object} series The series as passed in the data
+ * @param  {Array|Number} x      The data.x property
+ * @return {Object}              {x: <array of x values or null if evenly spread>, y: <array of y values>}
+ */
+Aristochart._normalizeSeries = function(series, x) {
+	// Dates become epoch milliseconds
+	function time(x) { return (x && x[0] instanceof Date) ? x.map(Number) : x; }
 
-			case "label":
-					var disX = that.box.x1/(stepX),
-						disY = that.box.y1/(stepY); 
-
-					if(defaults.label.x.visible)
-						for(var i = 0; i < (stepX + 1); i++) 
-							that.options.label.render.call(that, defaults, that.x.min + (((that.x.max - that.x.min)/stepX) * i), that.box.x  + (disX * i),  (defaults.label.x.fixed) ? axis.x.y1 : oy, "x", i);
-						
-					if(defaults.label.y.visible)
-						for(var i = 0; i < (stepY + 1); i++) {
-							var pos = stepY - i,
-								label = that.y.min + ((that.y.max - that.y.min)/stepY) * pos; // Label sorting algorithm
-							that.options.label.render.call(that, defaults, label, (defaults.label.y.fixed) ? axis.y.x1 : ox, that.box.y + (disY * i), "y", i);
-						}
+	if(!Array.isArray(series)) return { x: time(series.x), y: series.y };
 
-			break;
+	if(series[0] instanceof Object) return {
+		x: series.map(function(point) { return +point.x; }),
+		y: series.map(function(point) { return point.y; })
+	};
 
-			case "fill":
-					for(var line in lines) {
-						var style = that.options.style[line] || defaults;
-						if(style.line.fill) that.options.fill.render.call(that, style, lines[line]);
-					}
-			break;
+	if(Array.isArray(x) && x.length == series.length) return { x: time(x), y: series };
 
-			case "title":
-				if(defaults.title.visible) {
-					// X an y title
-					var xLabel = that.options.title.x,
-						yLabel = that.options.title.y;
+	return { x: null, y: series };
+};
 
-					if(defaults.title.x.visible) that.options.title.render.call(that, defaults, xLabel, (that.box.x*2 + that.box.x1)/2, that.box.y + that.box.y1, "x");
-					if(defaults.title.y.visible) that.options.title.render.call(that, defaults, yLabel, (that.box.x), (that.box.y*2 + that.box.y1)/2, "y");
-				}
-			break;
-		}
+/**
+ * Map a value back out of the space it's plotted linearly in, the inverse of
+ * the axis' Aristochart.scale.
+ *
+ * @private
+ * @param  {Number} value The scaled value
+ * @param  {Object} axis  The y axis options
+ * @return {Number}       The value
+ */
+Aristochart._unscale = function(value, axis) {
+	if(axis.scale == "log") return Math.pow(axis.base, value);
+	if(axis.scale == "symlog") return ((value < 0) ? -1 : 1) * axis.constant * (Math.pow(axis.base, Math.abs(value)) - 1);
+	return value;
+};
+
+/**
+ * Whether a value is missing from a series, null, undefined or NaN.
+ * @param  {Number} value
+ * @return {Boolean}
+ */
+Aristochart._missing = function(value) {
+	return value == null || !isFinite(value);
+};
+
+/**
+ * Split a line's points into the runs between its missing points.
+ * @param  {Array} points The points {rx, ry, missing}
+ * @return {Array}        The runs of points
+ */
+Aristochart._segments = function(points) {
+	var segments = [], segment = [];
+
+	points.forEach(function(point) {
+		if(!point.missing) segment.push(point);
+		else if(segment.length) segments.push(segment), segment = [];
 	});
+
+	if(segment.length) segments.push(segment);
+	return segments;
 };
 
 /**
- * Get the points from each graph and returns the <line> vs x.
- * @param  {Function} callback (optional) Run a function over a point.
- * @return {Object}            The lines store <name> : <point array> where a point is {rx (raster x), ry, x (actual x point), y}
+ * Fill and stroke a point marker with the line's point style.
+ *
+ * @private
+ * @param  {Object}   style The line's style
+ * @param  {Function} path  Traces the marker, function(ctx, radius) where radius is in raster pixels
  */
-Aristochart.prototype.getPoints = function(callback) {
-	var lines = {},
-		Xmax = this.x.max,
-		Xmin = this.x.min,
-		Xrange = this.x.range,
-		Ymax = this.y.max,
-		Ymin = this.y.min,
-		Yrange = this.y.range,
-		bx = this.box.x,
-		by = this.box.y,
-		bx1 = this.box.x1,
-		by1 = this.box.y1, //Caching these variables in case of large datasets
+Aristochart._marker = function(style, path) {
+	this.ctx.save();
+	this.ctx.strokeStyle = style.point.stroke;
+	this.ctx.lineWidth = style.point.width * this.resolution;
+	this.ctx.fillStyle = style.point.fill;
+	this.ctx.beginPath();
+	path.call(this, this.ctx, style.point.radius * this.resolution);
+	this.ctx.fill();
+	this.ctx.stroke();
+	this.ctx.restore();
+};
 
-		Yorigin = by + ((by1/Yrange) * Ymax),
-		Xorigin = bx + ((bx1/Xrange) * Math.abs(Xmin));
+/**
+ * Draw a regular polygon or star marker pointing up from the point, with its
+ * corners on the point's radius.
+ *
+ * @private
+ * @param  {Object} style  The line's style
+ * @param  {Number} rx     Raster x of the point
+ * @param  {Number} ry     Raster y of the point
+ * @param  {Number} sides  The amount of corners
+ * @param  {Number} inner  The radius of the inner corners as a fraction of the radius, 1 for no inner corners
+ * @param  {Number} angle  Rotation in radians
+ */
+Aristochart._polygon = function(style, rx, ry, sides, inner, angle) {
+	Aristochart._marker.call(this, style, function(ctx, radius) {
+		var corners = (inner < 1) ? sides * 2 : sides;
 
-	//Iterate over y1, y2 etc. lines
-	for(var key in this.data) {
-		if(key == "x") continue;
+		for(var i = 0; i < corners; i++) {
+			var r = (inner < 1 && i % 2) ? radius * inner : radius,
+				a = angle + (i * Math.PI * 2/corners);
 
-		lines[key] = [];
+			ctx[(i) ? "lineTo" : "moveTo"](rx + (r * Math.sin(a)), ry - (r * Math.cos(a)));
+		}
 
-		var currArr = this.data[key],
-			length = currArr.length,
-			factor = 1;
+		ctx.closePath();
+	});
+};
 
-		// Compensate for HUGE data set, only take a few data points
-		if(length > 1000) factor = 5;
-		if(length > 10000) factor = 50;
-		if(length > 100000) factor = 5000;
+/**
+ * Get the curve function for a line's interpolation. Tracing the points in
+ * reverse swaps the step directions so the path covers the same shape.
+ *
+ * @private
+ * @param  {String|Function} interpolation The name in Aristochart.curve or a function(ctx, points, style)
+ * @param  {Boolean}         reverse       Whether the points are traced right to left
+ * @return {Function}
+ */
+Aristochart._curve = function(interpolation, reverse) {
+	if(typeof interpolation == "function") return interpolation;
+	if(reverse && interpolation == "step-before") interpolation = "step-after";
+	else if(reverse && interpolation == "step-after") interpolation = "step-before";
 
-		var count = length/factor;
+	return Aristochart.curve[interpolation] || Aristochart.curve.linear;
+};
 
-		for(var i = 0; i < count; i++) {
-			var x = ((Xrange/(count - 1)) * i) + Xmin,
-				y = currArr[i],
+/**
+ * Get the x values of a normalised series, spreading them evenly across the
+ * x bounds if the series doesn't have its own.
+ *
+ * @private
+ * @param  {Object} series The normalised series
+ * @param  {Object} bounds The x bounds, {min, range}
+ * @return {Array}         The x values
+ */
+Aristochart._seriesX = function(series, bounds) {
+	if(series.x) return series.x;
+	var length = series.y.length;
+	return series.y.map(function(y, i) { return ((bounds.range/(length - 1)) * i) + bounds.min; });
+};
 
-				// Calculate the raster points
-				rx = Xorigin + ((bx1/Xrange) * x),
-				ry = Yorigin - ((by1/Yrange) * y);
+/**
+ * Stack series on top of each other in the order they're given. Each value
+ * stacks on the totals of the series before it at the same x, or the same index
+ * for evenly spread series. Each series' y values become the cumulative totals,
+ * the totals below are kept as it's base and it's original values are kept as
+ * value.
+ *
+ * @private
+ * @param  {Object} series  The normalised series store <name> : {x, y}
+ * @param  {Boolean} percent Normalise the totals at each x to 100
+ * @return {null}
+ */
+Aristochart._stackSeries = function(series, percent) {
+	var totals = {}, cumulative = {};
 
-			lines[key].push({x: x, y: y, rx: rx, ry: ry});
+	// Missing values add nothing to the totals but stay missing
+	function value(v) { return Aristochart._missing(v) ? 0 : v; }
 
-			if(callback) callback(rx, ry, x, y, key);
-		}
+	function key(current, i) { return (current.x) ? current.x[i] : "#" + i; }
+
+	if(percent) for(var name in series) {
+		var current = series[name];
+		current.y.forEach(function(v, i) { var at = key(current, i); totals[at] = (totals[at] || 0) + value(v); });
 	}
 
-	return {
-		lines: lines,
-		origin: {
-			x: Xorigin,
-			y: Yorigin
-		}
+	function scale(v, at) { return (percent) ? ((totals[at]) ? (v/totals[at]) * 100 : 0) : v; }
+
+	for(var name in series) {
+		var current = series[name],
+			below = {};
+
+		for(var at in cumulative) below[at] = cumulative[at];
+
+		current.value = current.y;
+		current.base = current.y.map(function(v, i) { var at = key(current, i); return scale(below[at] || 0, at); });
+		current.y = current.y.map(function(v, i) {
+			var at = key(current, i);
+			cumulative[at] = (cumulative[at] || 0) + value(v);
+			return Aristochart._missing(v) ? v : scale((below[at] || 0) + value(v), at);
+		});
 	}
 };
 
 /**
- * Converts canvas to image
- * @return {Image} Image element with base64 encoded canvas
+ * Get the extent of a normalised series.
+ *
+ * @private
+ * @param  {Object} series The normalised series {x, y, base}
+ * @return {Object}        {xMin, xMax, yMin, yMax, yPositive (the smallest positive y)}
  */
-Aristochart.prototype.toImage = function() {
-	var img = new Image();
-	img.src = this.canvas.toDataURL("image/png");
-	return img;
+Aristochart._extent = function(series) {
+	var extent = { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity, yPositive: Infinity };
+
+	function y(v) { if(Aristochart._missing(v)) return; if(v > extent.yMax) extent.yMax = v; if(v < extent.yMin) extent.yMin = v; if(v > 0 && v < extent.yPositive) extent.yPositive = v; }
+	function x(v) { if(Aristochart._missing(v)) return; if(v > extent.xMax) extent.xMax = v; if(v < extent.xMin) extent.xMin = v; }
+
+	series.y.forEach(y);
+	if(series.base) series.base.forEach(y);
+	if(series.x) series.x.forEach(x);
+
+	return extent;
 };
 
 /**
- * Aristochart's default render functions
+ * Extend an extent with new values.
+ *
+ * @private
+ * @param  {Object} extent {xMin, xMax, yMin, yMax, yPositive}
+ * @param  {Array} x       The new x values or null
+ * @param  {Array} y       The new y values
+ * @return {Object}        The extended extent
  */
-Aristochart.point = {
-	circle: function(style, rx, ry, x, y, graph) {
-		this.ctx.save();
+Aristochart._extend = function(extent, x, y) {
+	var values = Aristochart._extent({ x: x, y: y });
+
+	return {
+		xMin: Math.min(extent.xMin, values.xMin), xMax: Math.max(extent.xMax, values.xMax),
+		yMin: Math.min(extent.yMin, values.yMin), yMax: Math.max(extent.yMax, values.yMax),
+		yPositive: Math.min(extent.yPositive, values.yPositive)
+	};
+};
+
+/**
+ * Round a value out to a power of a base, keeping it's sign.
+ *
+ * @private
+ * @param  {Number} value The value
+ * @param  {Number} base  The log base
+ * @param  {Boolean} up   Round up or down
+ * @return {Number}       The power of the base
+ */
+Aristochart._logBound = function(value, base, up) {
+	if(!value) return 0;
+
+	var log = Math.log(Math.abs(value))/Math.log(base),
+		outward = (value > 0) == up;
+
+	return ((value > 0) ? 1 : -1) * Math.pow(base, (outward) ? Math.ceil(log) : Math.floor(log));
+};
+
+/**
+ * Refresh the graph x and y bounds from the supplied data.
+ * @param  {Boolean} keepSeries (optional) Don't renormalise the data, the series are already up to date
+ * @return {null} 
+ */
+Aristochart.prototype.refreshBounds = function(keepSeries) {
+	// Normalise all the series into x and y arrays
+	if(!keepSeries) {
+		this.series = {};
+		for(var key in this.data) {
+			if(key === "x") continue;
+			this.series[key] = Aristochart._normalizeSeries(this.data[key], this.data.x);
+
+			// Fill in the missing values of lines that treat them as zero
+			if(this.getMissing(key) == "zero") this.series[key].y = this.series[key].y.map(function(v) { return Aristochart._missing(v) ? 0 : v; });
+		}
+
+		// Stack the shown series on each y axis on top of each other
+		if(this.options.stack) ["y", "y2"].forEach(function(name) {
+			var group = {};
+			for(var key in this.series) if(this.getAxis(key) == name && !this.hidden[key]) group[key] = this.series[key];
+			Aristochart._stackSeries(group, this.options.stack == "percent");
+		}, this);
+	}
+
+	// Since you can have multiple Y lines, we have to iterate through and
+	// get the max of each y axis. Any series with it's own x values also extends
+	// the x bounds. The extent of each series is cached so appended data only
+	// checks what's new.
+	var xMax = -Infinity, xMin = Infinity,
+		ys = {
+			y: { max: -Infinity, min: Infinity, positive: Infinity, used: false },
+			y2: { max: -Infinity, min: Infinity, positive: Infinity, used: false }
+		};
+
+	// Hidden lines are left out, unless every line on their y axis is hidden
+	var hidden = this.hidden,
+		keys = Object.keys(this.series);
+
+	keys.filter(function(key) {
+		return !hidden[key] || keys.every(function(other) { return hidden[other] || this.getAxis(other) != this.getAxis(key); }, this);
+	}, this).forEach(function(key) {
+		var extent = this.series[key].extent = this.series[key].extent || Aristochart._extent(this.series[key]),
+			y = ys[this.getAxis(key)];
+
+		y.max = Math.max(y.max, extent.yMax), y.min = Math.min(y.min, extent.yMin), y.positive = Math.min(y.positive, extent.yPositive), y.used = true;
+		xMax = Math.max(xMax, extent.xMax), xMin = Math.min(xMin, extent.xMin);
+	}, this);
+
+	//Now x. Only one x line but every value counts, as long as a line is spread
+	//over it or matched up with it. Streamed lines take their own copy of it.
+	var data = this.data,
+		x = data.x;
+
+	if(Array.isArray(x) && !keys.some(function(key) {
+		return !this.series[key].x || (Array.isArray(data[key]) && !(data[key][0] instanceof Object) && data[key].length == x.length);
+	}, this)) x = null;
+
+	if(typeof x == "number" || (x && x.length == 1)) xMin = Math.min(xMin, 0), xMax = Math.max(xMax, x[0] || x);
+	else if(x) x.forEach(function(v) { v = +v; if(v > xMax) xMax = v; if(v < xMin) xMin = v; });
+
+	// The bounds of the whole graph, before zooming
+	this.extent = {
+		x: { min: xMin, max: xMax, range: xMax - xMin }
+	};
+
+	// Each y axis fits it's own lines
+	for(var name in ys) {
+		var axisY = this.options.axis[name],
+			yMin = ys[name].min,
+			yMax = ys[name].max;
+
+		if(name == "y2" && !ys[name].used) continue;
+
+		// Log scales can only show positive values and extend out to powers of the base
+		if(axisY.scale == "log" && yMin <= 0) yMin = (isFinite(ys[name].positive)) ? ys[name].positive : 1;
+		if(axisY.scale == "log" && yMax <= yMin) yMax = yMin * axisY.base;
+
+		if(axisY.scale != "linear" && isFinite(yMin) && isFinite(yMax)) {
+			yMin = Aristochart._logBound(yMin, axisY.base, false);
+			yMax = Aristochart._logBound(yMax, axisY.base, true);
+		}
+
+		// Extend y out to round numbers for nice ticks
+		else if(axisY.ticks == "nice" && isFinite(yMin) && isFinite(yMax)) {
+			if(yMin == yMax) yMin -= 1, yMax += 1;
+
+			var step = Aristochart.niceStep(yMax - yMin, this.box.y1/(axisY.spacing * this.resolution));
+			yMin = Math.floor(yMin/step) * step;
+			yMax = Math.ceil(yMax/step) * step;
+		}
+
+		//Check if manually overrided
+		if(axisY.max != undefined) yMax = axisY.max;
+		if(axisY.min != undefined) yMin = axisY.min;
+
+		this.extent[name] = { min: yMin, max: yMax, range: yMax - yMin };
+	}
+
+	// Then the visible window. The secondary y axis follows the primary.
+	var viewport = this.viewport || {},
+		y = this.extent.y,
+		y2 = this.extent.y2;
+
+	this.x = {
+		min: (viewport.xMin == undefined) ? xMin : viewport.xMin,
+		max: (viewport.xMax == undefined) ? xMax : viewport.xMax
+	};
+
+	this.y = {
+		min: (viewport.yMin == undefined) ? y.min : viewport.yMin,
+		max: (viewport.yMax == undefined) ? y.max : viewport.yMax
+	};
+
+	this.y2 = (y2) ? {
+		min: y2.min + (((this.y.min - y.min)/y.range) * y2.range),
+		max: y2.min + (((this.y.max - y.min)/y.range) * y2.range)
+	} : null;
+
+	this.x.range = this.x.max - this.x.min;
+	this.y.range = this.y.max - this.y.min;
+	if(this.y2) this.y2.range = this.y2.max - this.y2.min;
+}
+
+/**
+ * Get the y axis a line is plotted against.
+ * @param  {String} line The line's name
+ * @return {String}      "y" or "y2" for the secondary axis on the right
+ */
+Aristochart.prototype.getAxis = function(line) {
+	return ((this.options.style[line] || this.options.style.default).yAxis == "y2") ? "y2" : "y";
+};
+
+/**
+ * Get how a line handles missing values.
+ * @param  {String} line The line's name
+ * @return {String}      "gap", "connect" or "zero"
+ */
+Aristochart.prototype.getMissing = function(line) {
+	return (this.options.style[line] || this.options.style.default).missing;
+};
+
+/**
+ * Set the visible window of the graph, clip the data to it and re-render. Any
+ * bound left out is fit to the data. The x range is kept within the data and
+ * the zoom limits.
+ *
+ * @param {Object} viewport {xMin, xMax, yMin, yMax}
+ * @return {null}
+ */
+Aristochart.prototype.setViewport = function(viewport) {
+	var extent = this.extent.x,
+		zoom = this.options.zoom,
+		xMin = viewport.xMin,
+		xMax = viewport.xMax;
+
+	if(xMin != undefined && xMax != undefined) {
+		// Limit the range, around the center. Without a minRange, stop short of
+		// zooming in to nothing.
+		var range = Math.min(Math.max(xMax - xMin, zoom.minRange || (extent.range/1e6)), zoom.maxRange || Infinity, extent.range),
+			center = (xMin + xMax)/2;
+
+		xMin = center - range/2, xMax = center + range/2;
+
+		// Keep it on the data
+		if(xMin < extent.min) xMax += extent.min - xMin, xMin = extent.min;
+		if(xMax > extent.max) xMin -= xMax - extent.max, xMax = extent.max;
+	}
+
+	// Log axes can't show zero or below, those bounds are fit to the data
+	var log = this.options.axis.y.scale == "log",
+		yMin = (log && !(viewport.yMin > 0)) ? undefined : viewport.yMin,
+		yMax = (log && !(viewport.yMax > 0)) ? undefined : viewport.yMax,
+		yRange = this.extent.y.range/1e6;
+
+	// And y can't be zoomed in to nothing either
+	if(yMin != undefined && yMax != undefined && !(yMax - yMin >= yRange)) {
+		var middle = (yMin + yMax)/2;
+		yMin = middle - yRange/2, yMax = middle + yRange/2;
+	}
+
+	this.viewport = { xMin: xMin, xMax: xMax, yMin: yMin, yMax: yMax };
+
+	this.refreshBounds();
+	this.refreshPoints();
+	this.render();
+};
+
+/**
+ * Reset the viewport to fit all the data and re-render.
+ * @return {null}
+ */
+Aristochart.prototype.resetZoom = function() {
+	this.viewport = null;
+	this.refreshBounds();
+	this.refreshPoints();
+	this.render();
+};
+
+/**
+ * Refresh the lines and origin from the bounds.
+ * @return {null}
+ */
+Aristochart.prototype.refreshPoints = function() {
+	//Get the data set the lines and origin properties
+	var data = this.getPoints();
+	this.lines = data.lines;
+	this.origin = data.origin;
+
+	// Remember which lines are in order of x for quick lookups
+	this.sorted = {};
+	for(var line in this.lines) this.sorted[line] = this.lines[line].every(function(point, i, points) {
+		return !i || point.rx >= points[i - 1].rx;
+	});
+};
+
+/**
+ * Updates Aristochart's variables such as maxes and mins of the graphs
+ * @return {null} 
+ */
+Aristochart.prototype.update = function() {
+
+	// Apply the resolution to all the dimensions. Always scale from the
+	// original dimensions so calling update again doesn't compound it.
+	var resolution = this.resolution;
+	if(!this.dimensions) this.dimensions = {
+		margin: this.options.margin,
+		padding: this.options.padding,
+		width: this.options.width,
+		height: this.options.height
+	};
+
+	this.options.margin = this.dimensions.margin * resolution;
+	this.options.padding = this.dimensions.padding * resolution;
+	this.options.width = this.dimensions.width * resolution;
+	this.options.height = this.dimensions.height * resolution;
+
+	var previous = this.box;
+
+	// Calculate the bounding box
+	this.box = {
+		x: this.options.margin, 
+		y: this.options.margin, 
+		x1: this.options.width - (2*this.options.margin), 
+		y1: this.options.height - (2*this.options.margin)
+	};
+
+	// Refresh the bounds of the graph
+	this.refreshBounds();
+
+	// Refresh the lines and origin
+	this.refreshPoints();
+
+	//Update the axis dimensions
+	var padding = this.options.padding,
+		box = this.box;
+
+	this.axis = {
+		x: {
+			x: box.x - padding,
+			y: (box.y + box.y1 + padding),
+			x1: box.x + box.x1 + padding,
+			y1: (box.y + box.y1+ padding)
+		},
+
+		y: {
+			x: (box.x - padding),
+			y: box.y - padding,
+			x1: (box.x - padding),
+			y1: box.y + box.y1 + padding
+		},
+
+		y2: {
+			x: (box.x + box.x1 + padding),
+			y: box.y - padding,
+			x1: (box.x + box.x1 + padding),
+			y1: box.y + box.y1 + padding
+		}
+	};
+
+	if(previous && (previous.x1 != this.box.x1 || previous.y1 != this.box.y1)) this.emit("resize", this.dimensions.width, this.dimensions.height);
+};
+
+/**
+ * Render the graph and data
+ * @return {null} 
+ */
+Aristochart.prototype.render = function() {
+
+	var that = this,
+		lines = {},
+		defaults = that.options.style.default;
+
+	// Leave out the hidden lines
+	for(var line in this.lines) if(!this.hidden[line]) lines[line] = this.lines[line];
+
+	// Clear the drawing surface
+	this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+	// The layout shared by all the features
+	var box = this.box,
+		layout = {
+			box: box,
+			axis: this.axis,
+			origin: this.origin,
+			lines: lines,
+			padding: this.options.padding,
+
+			// The ticks along each axis, shared by the ticks and labels
+			ticks: { x: this.getTicks("x"), y: this.getTicks("y"), y2: (this.y2) ? this.getTicks("y2") : [] },
+
+			// The opacity of a line while it fades in or out
+			fade: function(line) {
+				that.ctx.globalAlpha = (line in that.opacity) ? that.opacity[line] : 1;
+			}
+		};
+
+	this.emit("beforeRender");
+
+	// Iterate over indexes and render the features in order 
+	this.indexes.forEach(function(name) {
+		var feature = Aristochart.features[name];
+
+		that.emit("beforeFeature", name);
+
+		// Clip the data to the graph when zoomed
+		var clip = that.viewport && feature.clip;
+
+		if(clip) {
+			that.ctx.save();
+			that.ctx.beginPath();
+			that.ctx.rect(box.x, box.y, box.x1, box.y1);
+			that.ctx.clip();
+		}
+
+		feature.draw.call(that, defaults, layout);
+
+		if(clip) that.ctx.restore();
+		that.ctx.globalAlpha = 1;
+
+		that.emit("afterFeature", name);
+	});
+
+	this.emit("afterRender");
+};
+
+/**
+ * Get the raster x coordinate of an x value.
+ * @param  {Number} value The x value
+ * @return {Number}       The raster x
+ */
+Aristochart.prototype.rasterX = function(value) {
+	return this.box.x + (((value - this.x.min)/this.x.range) * this.box.x1);
+};
+
+/**
+ * Get the raster y coordinate of a y value through the y scale.
+ * @param  {Number} value The y value
+ * @param  {String} name  (optional) The y axis, "y" or "y2". Defaults to "y".
+ * @return {Number}       The raster y
+ */
+Aristochart.prototype.rasterY = function(value, name) {
+	name = name || "y";
+
+	var axis = this.options.axis[name],
+		scale = Aristochart.scale[axis.scale],
+		min = scale(this[name].min, axis),
+		max = scale(this[name].max, axis);
+
+	return this.box.y + (((max - scale(value, axis))/(max - min)) * this.box.y1);
+};
+
+/**
+ * Get a round step size (1, 2 or 5 x 10^n) that splits a range into about count steps.
+ *
+ * @private
+ * @param  {Number} range The range to split
+ * @param  {Number} count The amount of steps wanted
+ * @return {Number}       The step size
+ */
+Aristochart.niceStep = function(range, count) {
+	var rough = range/Math.max(Math.floor(count), 1),
+		power = Math.pow(10, Math.floor(Math.log(rough)/Math.LN10)),
+		fraction = rough/power;
+
+	return ((fraction <= 1) ? 1 : (fraction <= 2) ? 2 : (fraction <= 5) ? 5 : 10) * power;
+};
+
+/**
+ * Get the ticks along an axis. The ticks, labels and anything else placed
+ * along the axes share these.
+ * @param  {String} type The axis, "x", "y" or "y2"
+ * @return {Array}       The ticks in the form {value, position (raster x or y), unit (time axes only)}, y from top to bottom.
+ */
+Aristochart.prototype.getTicks = function(type) {
+	var box = this.box,
+		bounds = this[type],
+		axis = this.options.axis[type],
+		steps = Math.floor(axis.steps), //Can't have floating steps now can we..
+		ticks = [];
+
+	if(type == "x" && axis.type == "time") {
+		var time = Aristochart.time.ticks(bounds.min, bounds.max, steps, axis.utcOffset);
+
+		return time.values.map(function(value) {
+			return { value: value, position: box.x + (((value - bounds.min)/bounds.range) * box.x1), unit: time.unit };
+		});
+	}
+
+	// Log ticks sit on the powers of the base with minor ticks on their multiples
+	if(type != "x" && axis.scale != "linear") {
+		var base = axis.base,
+			that = this,
+			values = [];
+
+		function powers(max, from, sign) {
+			for(var power = from; Math.pow(base, power) <= max; power++)
+				for(var multiple = 1; multiple < base; multiple++) {
+					var value = parseFloat((multiple * Math.pow(base, power)).toPrecision(12));
+					if(value <= max) values.push({ value: sign * value, minor: multiple != 1 });
+					if(base > 10) break; // Too many multiples to tick
+				}
+		}
+
+		function log(v) { return Math.floor(Math.log(v)/Math.log(base)); }
+
+		if(axis.scale == "log") powers(bounds.max, log(bounds.min), 1);
+		else {
+			// Symlog ticks from the linear region around 0 out in both directions
+			if(bounds.max > 0) powers(bounds.max, log(axis.constant), 1);
+			if(bounds.min < 0) powers(-bounds.min, log(axis.constant), -1);
+			values.push({ value: 0, minor: false });
+		}
+
+		return values.filter(function(tick) {
+			return tick.value >= bounds.min && tick.value <= bounds.max;
+		}).map(function(tick) {
+			return { value: tick.value, position: that.rasterY(tick.value, type), minor: tick.minor };
+		}).sort(function(a, b) { return a.position - b.position; });
+	}
+
+	if(axis.ticks == "nice") {
+		var length = (type == "x") ? box.x1 : box.y1,
+			step = Aristochart.niceStep(bounds.range, length/(axis.spacing * this.resolution));
+
+		for(var value = Math.ceil(bounds.min/step) * step; value <= bounds.max + (step/1e6); value += step) {
+			var tick = parseFloat(value.toPrecision(12)), // Round off floating point errors
+				position = ((tick - bounds.min)/bounds.range) * length;
+
+			if(type == "x") ticks.push({ value: tick, position: box.x + position });
+			else ticks.unshift({ value: tick, position: box.y + box.y1 - position });
+		}
+
+		return ticks;
+	}
+
+	for(var i = 0; i < (steps + 1); i++) {
+		if(type == "x") ticks.push({ value: bounds.min + ((bounds.range/steps) * i), position: box.x + ((box.x1/steps) * i) });
+		else ticks.push({ value: bounds.min + ((bounds.range/steps) * (steps - i)), position: box.y + ((box.y1/steps) * i) });
+	}
+
+	return ticks;
+};
+
+/**
+ * Get the points from each graph and returns the <line> vs x.
+ * @param  {Function} callback (optional) Run a function over a point.
+ * @return {Object}            The lines store <name> : <point array> where a point is {rx (raster x), ry, x (actual x point), y}
+ */
+Aristochart.prototype.getPoints = function(callback) {
+	var lines = {},
+		Xmax = this.x.max,
+		Xmin = this.x.min,
+		Xrange = this.x.range,
+		bx = this.box.x,
+		by = this.box.y,
+		bx1 = this.box.x1,
+		by1 = this.box.y1, //Caching these variables in case of large datasets
+
+		Xorigin = bx - ((bx1/Xrange) * Xmin),
+		extent = this.extent.x,
+		that = this;
+
+	// Each y axis maps y through it's scale, the identity for linear scales
+	function mapping(name) {
+		var axisY = that.options.axis[name],
+			bounds = that[name],
+			scale = function(y) { return Aristochart.scale[axisY.scale](y, axisY); },
+			Srange = scale(bounds.max) - scale(bounds.min);
+
+		return { scale: scale, Srange: Srange, Yorigin: by + ((by1/Srange) * scale(bounds.max)) };
+	}
+
+	var primary = mapping("y"),
+		secondary = this.y2 && mapping("y2");
+
+	//Iterate over y1, y2 etc. lines
+	for(var key in this.series) {
+		lines[key] = [];
+
+		var missing = this.getMissing(key),
+			map = (this.getAxis(key) == "y2") ? secondary : primary,
+			scale = map.scale,
+			Srange = map.Srange,
+			Yorigin = map.Yorigin;
+
+		var currArr = this.series[key].y,
+			xArr = this.series[key].x,
+			base = this.series[key].base,
+			value = this.series[key].value,
+			length = currArr.length,
+			downsample = this.options.downsample,
+			threshold = Math.floor(bx1 * downsample.density);
+
+		// Evenly spread series get their x values from their index across the whole graph
+		if(!xArr) xArr = Aristochart._seriesX(this.series[key], extent);
+
+		// Clip the data to the viewport, keeping a point either side to run off the edge
+		if(this.viewport && this.sorted && this.sorted[key] !== false) {
+			var start = 0, end = length - 1;
+			while(start < length - 1 && xArr[start + 1] < Xmin) start++;
+			while(end > 0 && xArr[end - 1] > Xmax) end--;
+
+			if(start > 0 || end < length - 1) {
+				var slice = function(arr) { return arr && arr.slice(start, end + 1); };
+				xArr = slice(xArr), currArr = slice(currArr), base = slice(base), value = slice(value);
+				length = currArr.length;
+			}
+		}
+
+		// Compensate for HUGE data sets, downsample to the width of the box
+		var sample = (downsample.algorithm && length > threshold) ? downsample.algorithm(xArr, currArr, threshold) : null,
+			count = sample ? sample.length : length;
+
+		for(var i = 0; i < count; i++) {
+			var index = sample ? sample[i] : i,
+				x = xArr[index],
+				y = currArr[index],
+
+				// Calculate the raster points
+				rx = Xorigin + ((bx1/Xrange) * x),
+				ry = Yorigin - ((by1/Srange) * scale(y));
+
+			var point = {x: x, y: y, rx: rx, ry: ry};
+
+			// Stacked points keep their own value and the raster y of their base
+			if(base) point.y = value[index], point.rbase = Yorigin - ((by1/Srange) * scale(base[index]));
+
+			// Missing values, or ones off the scale like zero on a log scale, are
+			// left out of connected lines and break the others
+			if(Aristochart._missing(y) || !isFinite(ry)) {
+				if(missing == "connect" || Aristochart._missing(x)) continue;
+				point.ry = NaN, point.missing = true;
+			}
+
+			lines[key].push(point);
+
+			if(callback) callback(rx, ry, x, y, key);
+		}
+	}
+
+	return {
+		lines: lines,
+		origin: {
+			x: Xorigin,
+			y: primary.Yorigin
+		}
+	}
+};
+
+/**
+ * Replace the graph's data, recompute the bounds and re-render. If animated,
+ * the points, axes and labels tween from the old layout to the new one and
+ * lines that are added or removed fade in or out.
+ *
+ * @param {Object} data    The new data. See Data.
+ * @param {Object} options (optional) {animate, duration (ms), easing (name in Aristochart.easing or a function)}
+ * @return {null}
+ */
+Aristochart.prototype.setData = function(data, options) {
+	options = options || {};
+
+	var that = this,
+		from = { lines: this.lines, x: this.x, y: this.y, origin: this.origin };
+
+	if(this.animation) window.cancelAnimationFrame(this.animation), this.animation = null, this.opacity = {};
+
+	// The tooltip's points are about to be replaced
+	this.tooltip = null;
+
+	this.data = this.options.data = data;
+	this.update();
+	Aristochart._queueAccessibility.call(this);
+	this.emit("dataChange", data);
+
+	if(!options.animate || typeof window == "undefined" || !window.requestAnimationFrame) return this.render();
+
+	var to = { lines: this.lines, x: this.x, y: this.y, origin: this.origin },
+		duration = options.duration || 500,
+		easing = (typeof options.easing == "function") ? options.easing : Aristochart.easing[options.easing || "easeInOut"],
+		starts = {},
+		added = {},
+		start;
+
+	// Each point starts on the old line at the same x. Lines which had no points fade in.
+	for(var line in to.lines) {
+		var old = from.lines[line];
+		added[line] = !old || !old.length;
+
+		starts[line] = (added[line]) ? to.lines[line] : to.lines[line].map(function(point) {
+			return {
+				rx: point.rx,
+				ry: Aristochart._lineAt(old, point.rx, "ry"),
+				rbase: (point.rbase != undefined && old[0].rbase != undefined) ? Aristochart._lineAt(old, point.rx, "rbase") : point.rbase
+			};
+		});
+	}
+
+	function tween(a, b, e) { return a + ((b - a) * e); }
+
+	function bounds(a, b, e) {
+		var min = tween(a.min, b.min, e), max = tween(a.max, b.max, e);
+		return { min: min, max: max, range: max - min };
+	}
+
+	function frame(time) {
+		start = start || time;
+
+		var progress = Math.min((time - start)/duration, 1),
+			e = easing(progress);
+
+		that.x = bounds(from.x, to.x, e);
+		that.y = bounds(from.y, to.y, e);
+		that.origin = { x: tween(from.origin.x, to.origin.x, e), y: tween(from.origin.y, to.origin.y, e) };
+		that.lines = {};
+		that.opacity = {};
+
+		for(var line in to.lines) {
+			that.lines[line] = to.lines[line].map(function(point, i) {
+				var begin = starts[line][i],
+					current = { x: point.x, y: point.y, rx: point.rx, ry: tween(begin.ry, point.ry, e) };
+
+				if(point.rbase != undefined) current.rbase = tween(begin.rbase, point.rbase, e);
+				return current;
+			});
+
+			if(added[line]) that.opacity[line] = e;
+		}
+
+		for(var line in from.lines)
+			if(!to.lines[line]) that.lines[line] = from.lines[line], that.opacity[line] = 1 - e;
+
+		if(progress < 1) {
+			that.render();
+			that.animation = window.requestAnimationFrame(frame);
+		} else {
+			that.x = to.x, that.y = to.y, that.origin = to.origin, that.lines = to.lines;
+			that.opacity = {};
+			that.animation = null;
+			that.render();
+		}
+	}
+
+	this.animation = window.requestAnimationFrame(frame);
+};
+
+/**
+ * Append values to the end of a line, trim it to the stream window and
+ * re-render on the next frame. The values should be in the same form as the
+ * line, y values or {x, y} points.
+ *
+ * @param {String} line   The line's name. New lines are created.
+ * @param {Number|Object|Array} values A value or an array of values
+ * @return {null}
+ */
+Aristochart.prototype.append = function(line, values) {
+	values = [].concat(values);
+
+	var that = this,
+		stream = this.options.stream,
+		points = values[0] instanceof Object,
+		ys = (points) ? values.map(function(point) { return point.y; }) : values,
+		xs = (points) ? values.map(function(point) { return point.x; }) : null,
+		filled = (this.getMissing(line) == "zero") ? ys.map(function(v) { return Aristochart._missing(v) ? 0 : v; }) : ys,
+		data = this.data[line] = this.data[line] || ((points) ? { x: [], y: [] } : []),
+		series = this.series[line],
+		changes = this.changes = this.changes || {};
+
+	// Lines matched up with data.x take their own copy of it, so the other lines
+	// sharing it aren't changed
+	if(Array.isArray(data) && !(data[0] instanceof Object) && Array.isArray(this.data.x) && this.data.x.length == data.length) {
+		data = this.data[line] = { x: this.data.x.map(Number), y: data };
+		if(series && !this.options.stack) series.x = data.x;
+	}
+
+	// Plain values continue the line's x values at their last step
+	if(!points && !Array.isArray(data)) {
+		var count = data.x.length,
+			last = +data.x[count - 1],
+			step = (count > 1) ? last - data.x[count - 2] : 1;
+
+		xs = ys.map(function(y, i) { return (count) ? last + (step * (i + 1)) : i; });
+	}
+
+	// Add them to the data in whatever form the line was given
+	if(!Array.isArray(data)) push(data.y, ys), push(data.x, xs);
+	else push(data, (data[0] instanceof Object) ? values : ys);
+
+	// Keep the normalised series in step, if it isn't the data itself
+	if(!series || this.options.stack) changes.all = true;
+	else {
+		if(series.y !== data && series.y !== data.y) push(series.y, filled);
+		if(series.x && series.x !== data.x) push(series.x, xs);
+		if(series.extent) series.extent = Aristochart._extend(series.extent, xs, filled);
+	}
+
+	// Trim the line to the window
+	var length = (Array.isArray(data)) ? data.length : data.y.length,
+		remove = (stream.size && length > stream.size) ? length - stream.size : 0;
+
+	if(stream.time && (series ? series.x : xs)) {
+		var x = (series) ? series.x : data.x,
+			newest = x[x.length - 1];
+
+		while(remove < x.length && x[remove] < newest - stream.time) remove++;
+	}
+
+	if(remove) {
+		var extent = series && !changes.all && series.extent;
+
+		// Find the extent again if the trimmed values held it. Lines in order of x
+		// simply start at their next x.
+		if(extent) for(var i = 0; i < remove; i++) {
+			if(series.y[i] <= extent.yMin || series.y[i] >= extent.yMax || (series.x && !this.sorted[line] && (series.x[i] <= extent.xMin || series.x[i] >= extent.xMax))) {
+				series.extent = null;
+				break;
+			}
+		}
+
+		if(Array.isArray(data)) data.splice(0, remove);
+		else data.x.splice(0, remove), data.y.splice(0, remove);
+
+		if(series && !changes.all) {
+			if(series.y !== data && series.y !== data.y) series.y.splice(0, remove);
+			if(series.x && series.x !== data.x) series.x.splice(0, remove);
+			if(series.extent && series.x) series.extent.xMin = series.x[0];
+		}
+	}
+
+	changes[line] = changes[line] || { added: 0, removed: 0 };
+	changes[line].added += values.length;
+	changes[line].removed += remove;
+
+	function push(arr, values) { Array.prototype.push.apply(arr, values); }
+
+	// Re-render once per frame
+	if(!this.frame) this.frame = ((typeof window != "undefined" && window.requestAnimationFrame) || function(callback) { return setTimeout(callback, 16); })(function() {
+		that.frame = null;
+		that.flush();
+	});
+};
+
+/**
+ * Append values to several lines at once.
+ * @param {Object} data <line> : <values>. See append.
+ * @return {null}
+ */
+Aristochart.prototype.appendAll = function(data) {
+	for(var line in data) this.append(line, data[line]);
+};
+
+/**
+ * Apply the appended data and re-render. Where the y bounds haven't moved and
+ * the changed lines aren't downsampled, only the new points are computed and
+ * the rest are moved along with the x bounds.
+ * @return {null}
+ */
+Aristochart.prototype.flush = function() {
+	if(this.paused) return;
+
+	var that = this,
+		changes = this.changes || {},
+		x = this.x,
+		y = this.y,
+		y2 = this.y2,
+		extent = this.extent && this.extent.x,
+		incremental = !changes.all && !this.viewport && !this.options.stack;
+
+	this.changes = {};
+
+	this.refreshBounds(!changes.all);
+	if(!this.options.stream.autoScale && y) this.y = y, this.y2 = (this.y2) ? y2 || this.y2 : null;
+
+	// Has the x window slid along or have evenly spread lines been spread over a new extent?
+	var moved = x && (this.x.min != x.min || this.x.max != x.max),
+		spread = extent && (this.extent.x.min != extent.min || this.extent.x.max != extent.max);
+
+	// Can we get away with only computing the new points?
+	if(incremental && x && this.y.min == y.min && this.y.max == y.max && !this.y2 == !y2 && (!y2 || (this.y2.min == y2.min && this.y2.max == y2.max))) {
+		var threshold = Math.floor(this.box.x1 * this.options.downsample.density);
+
+		for(var line in this.series) {
+			var series = this.series[line],
+				points = this.lines[line],
+				change = changes[line] || { added: 0, removed: 0 },
+				length = series.y.length;
+
+			if(!points) {
+				incremental = false;
+				break;
+			}
+
+			// Lines with their own x only change where values were added
+			if(!changes[line] && (series.x || !spread)) continue;
+
+			// Downsampled lines sample differently once they change. Evenly spread lines
+			// are spread again by index, so every value needs it's point.
+			if(length > threshold || points.length != length - change.added + change.removed || (!series.x && this.getMissing(line) == "connect" && series.y.slice(length - change.added).some(Aristochart._missing))) {
+				incremental = false;
+				break;
+			}
+		}
+	} else incremental = false;
+
+	if(incremental) {
+		for(var line in this.series) {
+			var series = this.series[line],
+				points = this.lines[line],
+				change = changes[line],
+				length = series.y.length,
+				respread = !series.x && (change || spread),
+				xArr = series.x || (respread && Aristochart._seriesX(series, this.extent.x));
+
+			if(change) {
+				points.splice(0, change.removed);
+
+				for(var i = length - Math.min(change.added, length); i < length; i++) {
+					var point = {
+						x: xArr[i],
+						y: series.y[i],
+						rx: this.rasterX(xArr[i]),
+						ry: this.rasterY(series.y[i], this.getAxis(line))
+					};
+
+					if(Aristochart._missing(point.y) || !isFinite(point.ry)) {
+						if(this.getMissing(line) == "connect" || Aristochart._missing(point.x)) continue;
+						point.ry = NaN, point.missing = true;
+					}
+
+					points.push(point);
+				}
+			}
+
+			// Move the points along to the new x bounds
+			if(respread) points.forEach(function(point, i) { point.x = xArr[i]; });
+			if(moved || respread) points.forEach(function(point) { point.rx = that.rasterX(point.x); });
+
+			if(change) this.sorted[line] = this.sorted[line] && points.every(function(point, i) {
+				return !i || point.rx >= points[i - 1].rx;
+			});
+		}
+
+		this.origin.x = this.rasterX(0);
+	} else this.refreshPoints();
+
+	Aristochart._queueAccessibility.call(this);
+	this.emit("dataChange", this.data);
+	this.render();
+};
+
+/**
+ * Pause re-rendering of appended data. The data is still appended.
+ * @return {null}
+ */
+Aristochart.prototype.pause = function() {
+	this.paused = true;
+};
+
+/**
+ * Resume re-rendering of appended data and render what was appended while paused.
+ * @return {null}
+ */
+Aristochart.prototype.resume = function() {
+	this.paused = false;
+	this.flush();
+};
+
+/**
+ * Get the raster value of a line at a raster x, interpolating between points.
+ *
+ * @private
+ * @param  {Array} points The line's points
+ * @param  {Number} rx    The raster x
+ * @param  {String} key   The raster value to get, "ry" or "rbase"
+ * @return {Number}       The interpolated value
+ */
+Aristochart._lineAt = function(points, rx, key) {
+	if(rx <= points[0].rx) return points[0][key];
+
+	for(var i = 1; i < points.length; i++) {
+		if(rx <= points[i].rx) {
+			var a = points[i - 1], b = points[i];
+			return a[key] + ((b[key] - a[key]) * ((rx - a.rx)/((b.rx - a.rx) || 1)));
+		}
+	}
+
+	return points[points.length - 1][key];
+};
+
+/**
+ * Find the nearest point to a raster coordinate. Lines in order of x are
+ * binary searched so it stays fast on large lines.
+ * @param  {Number} rx   Raster x coord
+ * @param  {Number} ry   (optional) Raster y coord. If omitted, only the distance along x counts.
+ * @param  {String} line (optional) Only search this line
+ * @return {Object}      {line, point, distance} or null if there are no points
+ */
+Aristochart.prototype.nearest = function(rx, ry, line) {
+	var that = this,
+		best = null;
+
+	(line ? [line] : Object.keys(this.lines)).forEach(function(line) {
+		if(that.hidden[line]) return;
+
+		var points = that.lines[line];
+
+		function check(point) {
+			// Missing points can only be found along x
+			if(point.missing && ry != undefined) return;
+
+			var distance = (ry == undefined) ? Math.abs(point.rx - rx) : Math.sqrt(Math.pow(point.rx - rx, 2) + Math.pow(point.ry - ry, 2));
+			if(!best || distance < best.distance) best = { line: line, point: point, distance: distance };
+		}
+
+		if(!that.sorted[line]) return points.forEach(check);
+
+		// Find the first point past rx and walk outwards until x alone is too far
+		var lo = 0, hi = points.length - 1;
+		while(lo < hi) {
+			var mid = (lo + hi) >> 1;
+			if(points[mid].rx < rx) lo = mid + 1;
+			else hi = mid;
+		}
+
+		for(var i = lo; i < points.length && (!best || points[i].rx - rx < best.distance); i++) check(points[i]);
+		for(var i = lo - 1; i >= 0 && (!best || rx - points[i].rx < best.distance); i--) check(points[i]);
+	});
+
+	return best;
+};
+
+/**
+ * Show the tooltip for the point nearest to a raster coordinate and re-render
+ * if it changed. Call with no arguments to hide the tooltip.
+ * @param  {Number} rx Raster x coord
+ * @param  {Number} ry Raster y coord
+ * @return {Array}     The tooltip entries {line, name, point, text}
+ */
+Aristochart.prototype.hover = function(rx, ry) {
+	var that = this,
+		options = this.options.tooltip,
+		box = this.box,
+		found = [];
+
+	if(rx != undefined) {
+		if(options.mode == "series") {
+			// The nearest point along x in each line while inside the graph
+			if(rx >= box.x && rx <= box.x + box.x1 && ry >= box.y && ry <= box.y + box.y1)
+				for(var line in this.lines) {
+					var nearest = this.nearest(rx, undefined, line);
+					if(nearest) found.push(nearest);
+				}
+		} else {
+			var nearest = this.nearest(rx, ry);
+			if(nearest && nearest.distance <= options.radius * this.resolution) found.push(nearest);
+		}
+	}
+
+	var tooltip = found.map(function(entry) {
+		var name = that.options.legend.names[entry.line] || entry.line;
+		return { line: entry.line, name: name, point: entry.point, text: options.formatter.call(that, name, entry.point, entry.line) };
+	});
+
+	// Only re-render if the points changed
+	var previous = this.tooltip || [];
+	if(tooltip.length != previous.length || tooltip.some(function(entry, i) { return entry.point !== previous[i].point; })) {
+		this.tooltip = tooltip;
+		this.render();
+	}
+
+	return this.tooltip;
+};
+
+/**
+ * Toggle the visibility of a line and re-render.
+ * @param  {String} line    The line's name
+ * @param  {Boolean} visible (optional) Force the line to be shown or hidden
+ * @return {null}
+ */
+Aristochart.prototype.toggle = function(line, visible) {
+	this.hidden[line] = (visible == undefined) ? !this.hidden[line] : !visible;
+
+	// The bounds and stacks are fit to the shown lines, which moves the tooltip's points
+	this.tooltip = null;
+	this.update();
+	this.render();
+};
+
+/**
+ * Describe the lines for screen readers, with the range of each line, its
+ * minimum and maximum and which way it trends.
+ * @return {String} The description
+ */
+Aristochart.prototype.describe = function() {
+	var that = this,
+		formatX = (this.options.axis.x.type == "time") ? this.options.label.x.timeFormat : this.options.label.x.format,
+		lines = Object.keys(this.series);
+
+	var description = lines.map(function(line) {
+		var series = that.series[line],
+			x = Aristochart._seriesX(series, that.extent.x),
+			y = series.value || series.y,
+			format = that.options.label[that.getAxis(line)].format,
+			name = that.options.legend.names[line] || line,
+			min = -1, max = -1, first = -1, last = -1;
+
+		y.forEach(function(value, i) {
+			if(typeof value != "number" || !isFinite(value) || x[i] == undefined) return;
+			if(first < 0) first = i;
+			if(min < 0 || value < y[min]) min = i;
+			if(max < 0 || value > y[max]) max = i;
+			last = i;
+		});
+
+		if(first < 0) return name + " has no values.";
+
+		var change = y[last] - y[first],
+			trend = (change > 0) ? "rising" : (change < 0) ? "falling" : "flat";
+
+		return name + ": " + y.length + " values from " + formatX.call(that, x[first]) + " to " + formatX.call(that, x[last]) +
+			", minimum " + format.call(that, y[min]) + " at " + formatX.call(that, x[min]) +
+			", maximum " + format.call(that, y[max]) + " at " + formatX.call(that, x[max]) +
+			", " + trend + " overall from " + format.call(that, y[first]) + " to " + format.call(that, y[last]) + ".";
+	});
+
+	return "Chart of " + this.options.title.y + " against " + this.options.title.x + " with " + lines.length + " line" + ((lines.length == 1) ? "" : "s") + ". " + description.join(" ");
+};
+
+/**
+ * Update the canvas' aria-label with the description and the visually hidden
+ * table of the data. The table is placed after the canvas, or left at
+ * <instance>.table if the canvas isn't in the document yet.
+ * @return {null}
+ */
+Aristochart.prototype.refreshAccessibility = function() {
+	var that = this,
+		options = this.options.accessibility,
+		canvas = this.canvas;
+
+	if(!canvas.setAttribute) return;
+
+	if(options.description) {
+		canvas.setAttribute("role", "img");
+		canvas.setAttribute("aria-label", this.describe());
+	}
+
+	if(!options.table) {
+		if(this.table && this.table.parentNode) this.table.parentNode.removeChild(this.table);
+		this.table = this.tableCaption = this.tableHead = this.tableRows = null;
+		return;
+	}
+
+	if(!this.table) {
+		this.table = document.createElement("table");
+		this.table.style.cssText = "position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;";
+	}
+
+	var table = this.table,
+		lines = Object.keys(this.series),
+		time = this.options.axis.x.type == "time",
+		cached = this.tableRows || {},
+		kept = this.tableRows = {},
+		rows = {};
+
+	function cell(tag, text) {
+		var element = document.createElement(tag);
+		element.textContent = text;
+		return element;
+	}
+
+	// The caption and header are rebuilt, the rows are only rebuilt where they've changed
+	if(this.tableHead) table.removeChild(this.tableCaption), table.removeChild(this.tableHead);
+
+	this.tableCaption = cell("caption", this.options.title.y + " against " + this.options.title.x);
+
+	// The x title heads the first column and each line the rest
+	var head = this.tableHead = document.createElement("tr");
+	head.appendChild(cell("th", this.options.title.x));
+	lines.forEach(function(line) {
+		head.appendChild(cell("th", (lines.length == 1) ? that.options.title[that.getAxis(line)] : that.options.legend.names[line] || line));
+	});
+
+	table.insertBefore(head, table.firstChild);
+	table.insertBefore(this.tableCaption, head);
+
+	// A row for each x value with the value of each line at it
+	lines.forEach(function(line, column) {
+		var series = that.series[line],
+			x = Aristochart._seriesX(series, that.extent.x),
+			y = series.value || series.y;
+
+		x.forEach(function(value, i) {
+			(rows[value] = rows[value] || { x: value, values: [] }).values[column] = y[i];
+		});
+	});
+
+	rows = Object.keys(rows).map(function(key) { return rows[key]; }).sort(function(a, b) {
+		return a.x - b.x;
+	}).map(function(row) {
+		var texts = [String((time) ? that.options.label.x.timeFormat.call(that, row.x) : row.x)].concat(lines.map(function(line, column) {
+				return (row.values[column] == undefined) ? "" : String(row.values[column]);
+			})),
+			key = [row.x].concat(texts).join("\u0000"),
+			element = cached[key];
+
+		if(element) delete cached[key];
+		else {
+			element = document.createElement("tr");
+			texts.forEach(function(text, i) { element.appendChild(cell((i) ? "td" : "th", text)); });
+		}
+
+		return kept[key] = element;
+	});
+
+	// Drop the rows which have gone and put the rest in order
+	for(var key in cached) table.removeChild(cached[key]);
+
+	rows.reduce(function(after, row) {
+		if(after.nextSibling !== row) table.insertBefore(row, after.nextSibling);
+		return row;
+	}, head);
+
+	if(!table.parentNode && canvas.parentNode) canvas.parentNode.insertBefore(table, canvas.nextSibling);
+};
+
+/**
+ * Render the chart to SVG. The render functions draw to an
+ * Aristochart.SVGContext in place of the canvas so text stays as text.
+ * @return {String} The SVG markup
+ */
+Aristochart.prototype.toSVG = function() {
+	// Text is measured with the canvas, recording contexts estimate it anyway and
+	// would record the measuring
+	var ctx = this.ctx;
+	this.ctx = new Aristochart.SVGContext(this.canvas.width, this.canvas.height, (ctx instanceof Aristochart.RecordingContext) ? null : ctx);
+
+	try {
+		this.render();
+		return this.ctx.toString(this.dimensions.width, this.dimensions.height);
+	} finally {
+		this.ctx = ctx;
+	}
+};
+
+/**
+ * Converts canvas to image
+ * @return {Image} Image element with base64 encoded canvas
+ */
+Aristochart.prototype.toImage = function() {
+	var img = new Image();
+	img.src = this.canvas.toDataURL("image/png");
+	return img;
+};
+
+/**
+ * Aristochart's number formatters for labels and tooltips. Each takes some
+ * settings and returns a function that turns a value into a string.
+ */
+Aristochart.format = {
+	/**
+	 * Up to a number of decimals, dropping any trailing zeros. 3.14159 -> "3.1", 3 -> "3"
+	 */
+	number: function(decimals) {
+		return function(value) {
+			return String(parseFloat(value.toFixed(decimals)) || 0);
+		};
+	},
+
+	/**
+	 * Always a fixed number of decimals. 3 -> "3.00"
+	 */
+	fixed: function(decimals) {
+		return function(value) {
+			return value.toFixed(decimals);
+		};
+	},
+
+	/**
+	 * SI suffixes. 1200000 -> "1.2M", 0.005 -> "5m"
+	 */
+	si: function(decimals) {
+		var prefixes = ["p", "n", "\u00b5", "m", "", "k", "M", "G", "T", "P"],
+			number = Aristochart.format.number(decimals);
+
+		return function(value) {
+			var exponent = (value) ? Math.floor(Math.log(Math.abs(value))/Math.LN10/3) : 0;
+			exponent = Math.max(-4, Math.min(5, exponent));
+			return number(value/Math.pow(1000, exponent)) + prefixes[exponent + 4];
+		};
+	},
+
+	/**
+	 * Percentages. Pass fraction to multiply the value by 100 first. 50 -> "50%", 0.5 -> "50%" (fraction)
+	 */
+	percent: function(decimals, fraction) {
+		var number = Aristochart.format.number(decimals);
+
+		return function(value) {
+			return number((fraction) ? value * 100 : value) + "%";
+		};
+	},
+
+	/**
+	 * Currency with thousands seperators. 1234.5 -> "$1,234.50"
+	 */
+	currency: function(symbol, decimals) {
+		symbol = (symbol == undefined) ? "$" : symbol;
+		decimals = (decimals == undefined) ? 2 : decimals;
+
+		return function(value) {
+			var parts = Math.abs(value).toFixed(decimals).split(".");
+			parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+			return ((value < 0) ? "-" : "") + symbol + parts.join(".");
+		};
+	},
+
+	/**
+	 * Time labels that adapt to the tick's unit, "14:00", "Mar 3" or "2024". Used
+	 * for time x axes, the timezone is axis.x.utcOffset.
+	 */
+	time: function() {
+		var months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+		function pad(n) { return (n < 10) ? "0" + n : String(n); }
+
+		return function(value, tick) {
+			var date = new Date(value + (Aristochart.time.offset(value, this.options.axis.x.utcOffset) * 60000)),
+				clock = pad(date.getUTCHours()) + ":" + pad(date.getUTCMinutes()),
+				day = months[date.getUTCMonth()] + " " + date.getUTCDate(),
+				midnight = !date.getUTCHours() && !date.getUTCMinutes() && !date.getUTCSeconds();
+
+			switch(tick && tick.unit) {
+				case "second": return clock + ":" + pad(date.getUTCSeconds());
+				case "minute":
+				case "hour": return (midnight) ? day : clock;
+				case "day":
+				case "week": return day;
+				case "month": return (date.getUTCMonth()) ? months[date.getUTCMonth()] : String(date.getUTCFullYear());
+				case "year": return String(date.getUTCFullYear());
+				default: return day + " " + date.getUTCFullYear() + " " + clock;
+			}
+		};
+	},
+
+	/**
+	 * Scientific notation. 1200000 -> "1.2e+6"
+	 */
+	scientific: function(decimals) {
+		return function(value) {
+			return value.toExponential(decimals);
+		};
+	}
+};
+
+/**
+ * Aristochart's time scale. Picks calendar aware ticks for time x axes.
+ */
+Aristochart.time = {
+	// Rough lengths of each unit in milliseconds
+	units: {
+		second: 1000,
+		minute: 60000,
+		hour: 3600000,
+		day: 86400000,
+		week: 604800000,
+		month: 2629800000,
+		year: 31557600000
+	},
+
+	// The tick intervals to choose from, [unit, amount]
+	intervals: [
+		["second", 1], ["second", 5], ["second", 15], ["second", 30],
+		["minute", 1], ["minute", 5], ["minute", 15], ["minute", 30],
+		["hour", 1], ["hour", 3], ["hour", 6], ["hour", 12],
+		["day", 1], ["day", 2], ["week", 1],
+		["month", 1], ["month", 3], ["month", 6],
+		["year", 1], ["year", 2], ["year", 5], ["year", 10], ["year", 25], ["year", 50], ["year", 100]
+	],
+
+	/**
+	 * Get the offset from UTC in minutes at a time.
+	 * @param  {Number} time      Epoch milliseconds
+	 * @param  {Number|String} utcOffset Minutes or "local" for the browser's timezone
+	 * @return {Number}           The offset in minutes
+	 */
+	offset: function(time, utcOffset) {
+		return (utcOffset == "local") ? -(new Date(time).getTimezoneOffset()) : (utcOffset || 0);
+	},
+
+	/**
+	 * Get the ticks between two times. The smallest interval that gives no more
+	 * than count ticks is chosen and ticks land on its boundaries in the timezone.
+	 * @param  {Number} min       Epoch milliseconds
+	 * @param  {Number} max       Epoch milliseconds
+	 * @param  {Number} count     The most ticks wanted
+	 * @param  {Number|String} utcOffset Minutes or "local"
+	 * @return {Object}           {unit, values}
+	 */
+	ticks: function(min, max, count, utcOffset) {
+		var units = Aristochart.time.units,
+			intervals = Aristochart.time.intervals,
+			offset = function(time) { return Aristochart.time.offset(time, utcOffset) * 60000; },
+			values = [];
+
+		var interval = intervals.filter(function(interval) {
+			return (max - min)/(units[interval[0]] * interval[1]) <= count;
+		})[0] || intervals[intervals.length - 1];
+
+		var unit = interval[0],
+			step = interval[1],
+			start = new Date(min + offset(min)); // The wall clock time in the timezone
+
+		if(unit == "month" || unit == "year") {
+			var year = start.getUTCFullYear(),
+				month = (unit == "year") ? 0 : Math.floor(start.getUTCMonth()/step) * step;
+
+			if(unit == "year") year = Math.floor(year/step) * step;
+
+			for(var wall = Date.UTC(year, month); wall - offset(wall) <= max; wall = Date.UTC(year, month)) {
+				if(wall - offset(wall) >= min) values.push(wall - offset(wall));
+				if(unit == "year") year += step;
+				else month += step;
+			}
+		} else {
+			// Weeks start on a Monday, the 5th of January 1970
+			var size = units[unit] * step,
+				base = (unit == "week") ? 4 * units.day : 0;
+
+			for(var wall = Math.ceil((start.getTime() - base)/size) * size + base; wall - offset(wall) <= max; wall += size)
+				if(wall - offset(wall) >= min) values.push(wall - offset(wall));
+		}
+
+		return { unit: unit, values: values };
+	}
+};
+
+/**
+ * Aristochart's y scales. Each maps a value into the space it's plotted
+ * linearly in, given the y axis options.
+ */
+Aristochart.scale = {
+	linear: function(value) {
+		return value;
+	},
+
+	log: function(value, axis) {
+		return Math.log(value)/Math.log(axis.base);
+	},
+
+	// Log either side of zero with a linear region of constant around it
+	symlog: function(value, axis) {
+		return ((value < 0) ? -1 : 1) * (Math.log(1 + (Math.abs(value)/axis.constant))/Math.log(axis.base));
+	}
+};
+
+/**
+ * Aristochart's easing functions for animation. Each maps progress from 0 to 1.
+ */
+Aristochart.easing = {
+	linear: function(t) { return t; },
+	easeIn: function(t) { return t * t; },
+	easeOut: function(t) { return t * (2 - t); },
+	easeInOut: function(t) { return (t < 0.5) ? 2 * t * t : -1 + (4 - (2 * t)) * t; }
+};
+
+/**
+ * Aristochart's line interpolations, style.line.interpolation. Each is passed
+ * the context, a run of points {rx, ry} and the line style and traces the path
+ * from the first point (which the path is already at) through every point.
+ */
+Aristochart.curve = {
+	linear: function(ctx, points) {
+		for(var i = 1; i < points.length; i++) ctx.lineTo(points[i].rx, points[i].ry);
+	},
+
+	/**
+	 * Monotone cubic (Fritsch-Carlson). The tangents are limited so the curve
+	 * never overshoots the data between two points.
+	 */
+	monotone: function(ctx, points) {
+		var slopes = [], tangents = [], n = points.length;
+
+		for(var i = 0; i < n - 1; i++) {
+			var dx = points[i + 1].rx - points[i].rx;
+			slopes.push(dx ? (points[i + 1].ry - points[i].ry)/dx : 0);
+		}
+
+		for(var i = 0; i < n; i++) {
+			if(i == 0) tangents.push(slopes[0] || 0);
+			else if(i == n - 1) tangents.push(slopes[i - 1]);
+			else tangents.push((slopes[i - 1] * slopes[i] > 0) ? (slopes[i - 1] + slopes[i])/2 : 0);
+		}
+
+		for(var i = 0; i < n - 1; i++) {
+			if(!slopes[i]) {
+				tangents[i] = tangents[i + 1] = 0;
+				continue;
+			}
+
+			var a = tangents[i]/slopes[i], b = tangents[i + 1]/slopes[i], h = a * a + b * b;
+
+			if(h > 9) {
+				tangents[i] = 3 * a * slopes[i]/Math.sqrt(h);
+				tangents[i + 1] = 3 * b * slopes[i]/Math.sqrt(h);
+			}
+		}
+
+		for(var i = 1; i < n; i++) {
+			var p0 = points[i - 1], p1 = points[i], third = (p1.rx - p0.rx)/3;
+
+			ctx.bezierCurveTo(p0.rx + third, p0.ry + tangents[i - 1] * third, p1.rx - third, p1.ry - tangents[i] * third, p1.rx, p1.ry);
+		}
+	},
+
+	/**
+	 * Cardinal spline through the points, style.line.tension scales the tangents.
+	 * 0.5 is a Catmull-Rom spline and 0 draws straight lines.
+	 */
+	catmullRom: function(ctx, points, style) {
+		var tension = ((style && style.tension != undefined) ? style.tension : 0.5)/3;
+
+		for(var i = 1; i < points.length; i++) {
+			var p0 = points[i - 2] || points[i - 1], p1 = points[i - 1], p2 = points[i], p3 = points[i + 1] || p2;
+
+			ctx.bezierCurveTo(
+				p1.rx + (p2.rx - p0.rx) * tension, p1.ry + (p2.ry - p0.ry) * tension,
+				p2.rx - (p3.rx - p1.rx) * tension, p2.ry - (p3.ry - p1.ry) * tension,
+				p2.rx, p2.ry
+			);
+		}
+	},
+
+	// Change value at the point, before the horizontal run to it
+	"step-before": function(ctx, points) {
+		for(var i = 1; i < points.length; i++) {
+			ctx.lineTo(points[i - 1].rx, points[i].ry);
+			ctx.lineTo(points[i].rx, points[i].ry);
+		}
+	},
+
+	// Hold the value until the next point
+	"step-after": function(ctx, points) {
+		for(var i = 1; i < points.length; i++) {
+			ctx.lineTo(points[i].rx, points[i - 1].ry);
+			ctx.lineTo(points[i].rx, points[i].ry);
+		}
+	},
+
+	// Change value halfway between points
+	"step-middle": function(ctx, points) {
+		for(var i = 1; i < points.length; i++) {
+			var middle = (points[i - 1].rx + points[i].rx)/2;
+
+			ctx.lineTo(middle, points[i - 1].ry);
+			ctx.lineTo(middle, points[i].ry);
+			ctx.lineTo(points[i].rx, points[i].ry);
+		}
+	}
+};
+
+/**
+ * Aristochart's downsampling algorithms. Each is passed the x and y arrays of a
+ * series along with the threshold (the amount of points wanted) and returns
+ * the indexes of the points to keep, in order.
+ */
+Aristochart.downsample = {
+	/**
+	 * Largest-Triangle-Three-Buckets. Splits the data into buckets and keeps the
+	 * point from each bucket which forms the largest triangle with the previously
+	 * kept point and the average of the next bucket. Missing values are never
+	 * picked but each bucket with any keeps one, and the points either side of
+	 * it, so the gap survives.
+	 */
+	lttb: function(x, y, threshold) {
+		var length = y.length,
+			sample = [0];
+
+		if(threshold >= length || threshold < 3) return y.map(function(v, i) { return i; });
+
+		function missing(i) { return Aristochart._missing(y[i]) || Aristochart._missing(x[i]); }
+
+		var every = (length - 2)/(threshold - 2),
+			a = 0; // The last kept point
+
+		for(var i = 0; i < threshold - 2; i++) {
+			// Average the next bucket
+			var avgStart = Math.floor((i + 1) * every) + 1,
+				avgEnd = Math.min(Math.floor((i + 2) * every) + 1, length),
+				avgX = 0, avgY = 0, count = 0;
+
+			for(var j = avgStart; j < avgEnd; j++) if(!missing(j)) avgX += x[j], avgY += y[j], count++;
+			if(count) avgX /= count, avgY /= count;
+			else avgX = x[a], avgY = y[a];
+
+			// Find the point in this bucket with the largest triangle
+			var start = Math.floor(i * every) + 1,
+				end = Math.floor((i + 1) * every) + 1,
+				maxArea = -1, next = -1, gap = -1;
+
+			for(var j = start; j < end; j++) {
+				if(missing(j)) {
+					if(gap < 0) gap = j;
+					continue;
+				}
+
+				var area = Math.abs((x[a] - avgX) * (y[j] - y[a]) - (x[a] - x[j]) * (avgY - y[a]));
+				if(isNaN(area)) area = 0; // The first point is missing
+				if(area > maxArea) maxArea = area, next = j;
+			}
+
+			// Keep the gap with the points either side of it, so the runs between
+			// gaps keep their ends
+			var kept = (gap < 0) ? [next] : [next, gap - 1, gap, gap + 1].filter(function(j) {
+				return j == gap || (j > 0 && j < length - 1 && !missing(j));
+			});
+
+			kept.sort(function(a, b) { return a - b; }).forEach(function(j) {
+				if(j > sample[sample.length - 1]) sample.push(j);
+			});
+
+			if(next >= 0) a = next;
+		}
+
+		sample.push(length - 1);
+		return sample;
+	},
+
+	/**
+	 * Min/max per pixel. Splits the x range into threshold columns and keeps the
+	 * lowest and highest point in each so no peaks are lost. Columns with missing
+	 * values keep one of them so the gap survives.
+	 */
+	minmax: function(x, y, threshold) {
+		var length = y.length,
+			first = 0, last = length - 1;
+
+		// The x range runs between the first and last x that aren't missing
+		while(first < last && Aristochart._missing(x[first])) first++;
+		while(last > first && Aristochart._missing(x[last])) last--;
+
+		var xMin = x[first],
+			xRange = (x[last] - xMin) || 1,
+			sample = [0],
+			column = -1, min = null, max = null, gap = null;
+
+		function flush() {
+			[min, max, gap].filter(function(index, i, kept) {
+				return index != null && kept.indexOf(index) == i;
+			}).sort(function(a, b) { return a - b; }).forEach(function(index) {
+				sample.push(index);
+			});
+		}
+
+		for(var i = 1; i < length - 1; i++) {
+			var col = (Aristochart._missing(x[i])) ? column : Math.floor(((x[i] - xMin)/xRange) * threshold);
+
+			if(col != column) flush(), column = col, min = max = gap = null;
+
+			if(Aristochart._missing(y[i]) || Aristochart._missing(x[i])) {
+				if(gap == null) gap = i;
+			} else {
+				if(min == null || y[i] < y[min]) min = i;
+				if(max == null || y[i] > y[max]) max = i;
+			}
+		}
+
+		flush();
+		sample.push(length - 1);
+		return sample;
+	}
+};
+
+/**
+ * The features Aristochart draws. Each lays out its part of the graph and
+ * hands it to the render function in the feature's options. They're called
+ * with the chart as this, the default style and the layout shared by all the
+ * features, { box, axis, origin, lines, ticks, padding, fade }. Features with
+ * clip are clipped to the graph when zoomed. See Aristochart.registerFeature.
+ */
+Aristochart.features = {
+	grid: {
+		draw: function(defaults, layout) {
+			var that = this,
+				box = layout.box,
+				ticks = layout.ticks;
+
+			if(!defaults.grid.visible) return;
+
+			// The gridlines run across the graph from the ticks
+			ticks.x.forEach(function(tick, i) {
+				var minor = Aristochart._minorTick(tick, i);
+				if(defaults.grid.x[(minor) ? "minor" : "major"].visible)
+					that.options.grid.render.call(that, defaults, tick.position, box.y, tick.position, box.y + box.y1, "x", minor);
+			});
+
+			ticks.y.forEach(function(tick, i) {
+				var minor = Aristochart._minorTick(tick, i);
+				if(defaults.grid.y[(minor) ? "minor" : "major"].visible)
+					that.options.grid.render.call(that, defaults, box.x, tick.position, box.x + box.x1, tick.position, "y", minor);
+			});
+		}
+	},
+
+	fill: {
+		clip: true,
+		draw: function(defaults, layout) {
+			var that = this,
+				lines = layout.lines,
+				fade = layout.fade;
+
+			for(var line in lines) {
+				var style = that.options.style[line] || defaults;
+
+				// Lines rendered as bars are only drawn by the bar feature
+				if(style.line.fill && !style.bar.visible) fade(line), that.options.fill.render.call(that, style, lines[line]);
+			}
+		}
+	},
+
+	bar: {
+		clip: true,
+		draw: function(defaults, layout) {
+			var that = this,
+				lines = layout.lines,
+				box = layout.box,
+				fade = layout.fade;
+
+			var bars = Object.keys(lines).filter(function(line) {
+				return (that.options.style[line] || defaults).bar.visible;
+			});
+
+			if(bars.length) {
+				// The slot is the smallest raster distance between two bars
+				var slot = box.x1;
+				bars.forEach(function(line) {
+					lines[line].forEach(function(point, i, points) {
+						var distance = i && (point.rx - points[i - 1].rx);
+						if(distance > 0 && distance < slot) slot = distance;
+					});
+				});
+
+				// Grouped bars share the slot, seperated by the gap. Stacked bars on the
+				// same axis are drawn in one column.
+				var columns = [];
+				function column(line) { return (that.options.stack) ? that.getAxis(line) : line; }
+				bars.forEach(function(line) { if(columns.indexOf(column(line)) < 0) columns.push(column(line)); });
+
+				var total = slot * defaults.bar.size,
+					gap = defaults.bar.gap * that.resolution,
+					width = Math.max((total - (gap * (columns.length - 1)))/columns.length, 1);
+
+				// The first and last groups are centred on the edges of the graph, keep them inside it
+				that.ctx.save();
+				that.ctx.beginPath();
+				that.ctx.rect(box.x, box.y, box.x1, box.y1);
+				that.ctx.clip();
+
+				bars.forEach(function(line) {
+					var offset = -(total/2) + (columns.indexOf(column(line)) * (width + gap)),
+						base = Math.min(Math.max(that.rasterY(0, that.getAxis(line)), box.y), box.y + box.y1); // Grow from the zero line of the line's axis
+
+					fade(line);
+					that.options.bar.render.call(that, that.options.style[line] || defaults, lines[line], offset, width, base);
+				});
+
+				that.ctx.restore();
+			}
+		}
+	},
+
+	axis: {
+		draw: function(defaults, layout) {
+			var that = this,
+				axis = layout.axis,
+				ox = layout.origin.x,
+				oy = layout.origin.y;
+
+			if(defaults.axis.visible) {
+				if(defaults.axis.x.visible) {
+					that.options.axis.x.render.call(that, defaults, axis.x.x, (defaults.axis.y.fixed) ? axis.x.y : oy, axis.x.x1, (defaults.axis.y.fixed) ? axis.x.y1 : oy, "x");
+				}
+
+				if(defaults.axis.y.visible) {
+					that.options.axis.y.render.call(that, defaults, (defaults.axis.x.fixed) ? axis.y.x : ox, axis.y.y, (defaults.axis.x.fixed) ? axis.y.x1 : ox, axis.y.y1, "y");
+				}
+
+				// The secondary y axis is always on the right
+				if(that.y2 && defaults.axis.y2.visible) {
+					that.options.axis.y2.render.call(that, defaults, axis.y2.x, axis.y2.y, axis.y2.x1, axis.y2.y1, "y2");
+				}
+			}
+		}
+	},
+
+	tick: {
+		draw: function(defaults, layout) {
+			var that = this,
+				ticks = layout.ticks,
+				axis = layout.axis,
+				ox = layout.origin.x,
+				oy = layout.origin.y;
+
+			if(defaults.tick.visible) {
+				ticks.x.forEach(function(tick, i) {
+					that.options.tick.render.call(that, defaults, tick.position, (defaults.tick.x.fixed) ? axis.x.y1 : oy, "x", i, tick);
+				});
+
+				ticks.y.forEach(function(tick, i) {
+					that.options.tick.render.call(that, defaults, (defaults.tick.y.fixed) ? axis.y.x1 : ox, tick.position, "y", i, tick);
+				});
+
+				ticks.y2.forEach(function(tick, i) {
+					that.options.tick.render.call(that, defaults, axis.y2.x1, tick.position, "y2", i, tick);
+				});
+			}
+		}
+	},
+
+	line: {
+		clip: true,
+		draw: function(defaults, layout) {
+			var that = this,
+				lines = layout.lines,
+				fade = layout.fade;
+
+			for(var line in lines) {
+				var style = that.options.style[line] || defaults;
+				if(style.line.visible && !style.bar.visible) fade(line), that.options.line.render.call(that, style, lines[line]);
+			}
+		}
+	},
+
+	point: {
+		clip: true,
+		draw: function(defaults, layout) {
+			var that = this,
+				lines = layout.lines,
+				fade = layout.fade;
+
+			for(var line in lines) {
+				var style = that.options.style[line] || defaults;
+
+				if(style.point.visible && !style.bar.visible)
+					fade(line), lines[line].forEach(function(obj) {
+						if(!obj.missing) that.options.point.render.call(that, style, obj.rx, obj.ry, obj.x, obj.y, line);
+					});
+			}
+		}
+	},
+
+	label: {
+		draw: function(defaults, layout) {
+			var that = this,
+				ticks = layout.ticks,
+				axis = layout.axis,
+				ox = layout.origin.x,
+				oy = layout.origin.y;
+
+			var formatX = (that.options.axis.x.type == "time") ? that.options.label.x.timeFormat : that.options.label.x.format;
+
+			if(defaults.label.x.visible)
+				ticks.x.forEach(function(tick, i) {
+					that.options.label.render.call(that, defaults, formatX.call(that, tick.value, tick), tick.position, (defaults.label.x.fixed) ? axis.x.y1 : oy, "x", i);
+				});
+
+			// Minor ticks aren't labelled
+			if(defaults.label.y.visible)
+				ticks.y.filter(function(tick) { return !tick.minor; }).forEach(function(tick, i) {
+					that.options.label.render.call(that, defaults, that.options.label.y.format.call(that, tick.value, tick), (defaults.label.y.fixed) ? axis.y.x1 : ox, tick.position, "y", i);
+				});
+
+			if(defaults.label.y2.visible)
+				ticks.y2.filter(function(tick) { return !tick.minor; }).forEach(function(tick, i) {
+					that.options.label.render.call(that, defaults, that.options.label.y2.format.call(that, tick.value, tick), axis.y2.x1, tick.position, "y2", i);
+				});
+		}
+	},
+
+	title: {
+		draw: function(defaults, layout) {
+			var that = this;
+
+			if(defaults.title.visible) {
+				// X an y title
+				var xLabel = that.options.title.x,
+					yLabel = that.options.title.y;
+
+				if(defaults.title.x.visible) that.options.title.render.call(that, defaults, xLabel, (that.box.x*2 + that.box.x1)/2, that.box.y + that.box.y1, "x");
+				if(defaults.title.y.visible) that.options.title.render.call(that, defaults, yLabel, (that.box.x), (that.box.y*2 + that.box.y1)/2, "y");
+				if(that.y2 && defaults.title.y2.visible) that.options.title.render.call(that, defaults, that.options.title.y2, that.box.x + that.box.x1, (that.box.y*2 + that.box.y1)/2, "y2");
+			}
+		}
+	},
+
+	legend: {
+		draw: function(defaults, layout) {
+			var that = this,
+				box = layout.box,
+				padding = layout.padding;
+
+			if(defaults.legend.visible) {
+				var legend = defaults.legend,
+					size = legend.fontSize * that.resolution,
+					spacing = legend.padding * that.resolution,
+					swatch = legend.swatch * that.resolution,
+					width = 0;
+
+				// Measure the names to size the legend
+				that.ctx.font = legend.fontStyle + " " + size + "px " + legend.font;
+				var items = Object.keys(that.lines).map(function(line) {
+					var name = that.options.legend.names[line] || line;
+					width = Math.max(width, that.ctx.measureText(name).width);
+					return { line: line, name: name, style: that.options.style[line] || defaults, hidden: !!that.hidden[line] };
+				});
+
+				width += swatch + (spacing * 3);
+
+				var height = (items.length * (size + spacing)) + spacing,
+					right = legend.position.indexOf("right") > -1,
+					bottom = legend.position.indexOf("bottom") > -1,
+					x = (legend.inside) ? (right ? box.x + box.x1 - width : box.x) : (right ? box.x + box.x1 + padding + spacing : box.x - padding - spacing - width),
+					y = (bottom) ? box.y + box.y1 - height : box.y;
+
+				// Store the bounds of each entry for toggling
+				items.forEach(function(item, i) {
+					item.x = x, item.y = y + spacing + (i * (size + spacing));
+					item.x1 = x + width, item.y1 = item.y + size;
+				});
+
+				that.legend = items;
+				that.options.legend.render.call(that, defaults, items, x, y, width, height);
+			}
+		}
+	},
+
+	tooltip: {
+		draw: function(defaults, layout) {
+			var that = this;
+
+			if(defaults.tooltip.visible && that.tooltip && that.tooltip.length)
+				that.options.tooltip.render.call(that, defaults, that.tooltip);
+		}
+	},
+
+	annotation: {
+		draw: function(defaults, layout) {
+			var that = this,
+				box = layout.box,
+				options = that.options.annotation;
+
+			if(!defaults.annotation.visible || !options.items.length) return;
+
+			// Annotations can be anywhere so keep them inside the graph
+			that.ctx.save();
+			that.ctx.beginPath();
+			that.ctx.rect(box.x, box.y, box.x1, box.y1);
+			that.ctx.clip();
+
+			options.items.forEach(function(item) {
+				var style = (item.style) ? Aristochart._deepMerge(defaults, { annotation: item.style }) : defaults,
+					axis = (item.axis == "y2" && that.y2) ? "y2" : "y", // Without y2 lines, there's no y2 axis to place them on
+					rx = function(value) { return that.rasterX(+value); },
+					ry = function(value) { return that.rasterY(value, axis); };
+
+				switch(item.type) {
+					case "line":
+						if(item.y != undefined) options.line.call(that, style, box.x, ry(item.y), box.x + box.x1, ry(item.y), item.label);
+						else options.line.call(that, style, rx(item.x), box.y, rx(item.x), box.y + box.y1, item.label);
+					break;
+
+					case "band":
+						if(item.y) {
+							var y = Math.min(ry(item.y[0]), ry(item.y[1]));
+							options.band.call(that, style, box.x, y, box.x1, Math.max(ry(item.y[0]), ry(item.y[1])) - y, item.label);
+						} else {
+							var x = Math.min(rx(item.x[0]), rx(item.x[1]));
+							options.band.call(that, style, x, box.y, Math.max(rx(item.x[0]), rx(item.x[1])) - x, box.y1, item.label);
+						}
+					break;
+
+					case "marker":
+						options.marker.call(that, style, rx(item.x), ry(item.y), item.label);
+					break;
+				}
+			});
+
+			that.ctx.restore();
+		}
+	}
+};
+
+/**
+ * Add a feature for Aristochart to draw, like gridlines or a watermark. The
+ * defaults, index and render function become the feature's options in the
+ * default theme so they can be set in the options or a theme like any other
+ * feature's. The render function is called with the chart as this, the
+ * default style and the layout. See Aristochart.features.
+ *
+ * @param  {String} name    The feature's name and its key in the options
+ * @param  {Object} feature {defaults, render, index, clip}
+ * @return {null}
+ */
+Aristochart.registerFeature = function(name, feature) {
+	if(Aristochart.features[name]) throw new Error("The feature " + name + " is already registered in Aristochart");
+	if(typeof feature.render != "function") throw new Error("Please provide a render function for the feature " + name);
+	if(typeof feature.index != "number") throw new Error("Please provide an index for the feature " + name);
+
+	Aristochart.features[name] = {
+		clip: !!feature.clip,
+		draw: function(defaults, layout) {
+			this.options[name].render.call(this, defaults, layout);
+		}
+	};
+
+	Aristochart.themes.default[name] = Aristochart._deepMerge({ index: feature.index, render: feature.render }, feature.defaults || {});
+};
+
+/**
+ * Aristochart's default render functions
+ */
+Aristochart.point = {
+	/**
+	 * Draws the line's style.point.shape. The shape is the name of a marker in
+	 * Aristochart.point, a function(ctx, rx, ry, radius, style) which traces the
+	 * marker's path to be filled and stroked or an image drawn across the radius.
+	 */
+	marker: function(style, rx, ry, x, y, graph) {
+		var shape = style.point.shape,
+			radius = style.point.radius * this.resolution;
+
+		if(typeof shape == "function") Aristochart._marker.call(this, style, function(ctx) {
+			shape.call(this, ctx, rx, ry, radius, style);
+		});
+		else if(shape && typeof shape == "object") {
+			this.ctx.drawImage(shape, rx - radius, ry - radius, radius * 2, radius * 2);
+		} else ((shape != "marker" && Aristochart.point[shape]) || Aristochart.point.circle).call(this, style, rx, ry, x, y, graph);
+	},
+
+	circle: function(style, rx, ry, x, y, graph) {
+		this.ctx.save();
 		this.ctx.strokeStyle = style.point.stroke;
 		this.ctx.lineWidth = style.point.width * this.resolution;
 		this.ctx.fillStyle = style.point.fill;
@@ -381,6 +2708,49 @@ Aristochart.point = {
 		this.ctx.fill();
 		this.ctx.stroke();
 		this.ctx.restore();
+	},
+
+	square: function(style, rx, ry) {
+		Aristochart._marker.call(this, style, function(ctx, radius) {
+			ctx.rect(rx - radius, ry - radius, radius * 2, radius * 2);
+		});
+	},
+
+	diamond: function(style, rx, ry) {
+		Aristochart._polygon.call(this, style, rx, ry, 4, 1, 0);
+	},
+
+	triangleUp: function(style, rx, ry) {
+		Aristochart._polygon.call(this, style, rx, ry, 3, 1, 0);
+	},
+
+	triangleDown: function(style, rx, ry) {
+		Aristochart._polygon.call(this, style, rx, ry, 3, 1, Math.PI);
+	},
+
+	star: function(style, rx, ry) {
+		Aristochart._polygon.call(this, style, rx, ry, 5, 0.4, 0);
+	},
+
+	// Cross and plus are only stroked
+	cross: function(style, rx, ry) {
+		Aristochart._marker.call(this, style, function(ctx, radius) {
+			var r = radius * Math.SQRT1_2;
+
+			ctx.moveTo(rx - r, ry - r);
+			ctx.lineTo(rx + r, ry + r);
+			ctx.moveTo(rx + r, ry - r);
+			ctx.lineTo(rx - r, ry + r);
+		});
+	},
+
+	plus: function(style, rx, ry) {
+		Aristochart._marker.call(this, style, function(ctx, radius) {
+			ctx.moveTo(rx - radius, ry);
+			ctx.lineTo(rx + radius, ry);
+			ctx.moveTo(rx, ry - radius);
+			ctx.lineTo(rx, ry + radius);
+		});
 	}
 };
 
@@ -390,11 +2760,16 @@ Aristochart.line = {
 		this.ctx.strokeStyle = style.line.stroke;
 		this.ctx.lineWidth = style.line.width * this.resolution;
 		this.ctx.beginPath();
-		this.ctx.moveTo(points[0].rx, points[0].ry);
-		var that = this;
-		points.forEach(function(point) {
-			that.ctx.lineTo(point.rx, point.ry);
+
+		// Missing points break the line
+		var that = this,
+			curve = Aristochart._curve(style.line.interpolation);
+
+		Aristochart._segments(points).forEach(function(segment) {
+			that.ctx.moveTo(segment[0].rx, segment[0].ry);
+			curve.call(that, that.ctx, segment, style.line);
 		});
+
 		this.ctx.stroke();
 		this.ctx.restore();
 	},
@@ -403,30 +2778,67 @@ Aristochart.line = {
 		this.ctx.save();
 		this.ctx.fillStyle = style.line.fill;
 		this.ctx.beginPath();
-		this.ctx.moveTo(points[0].rx, points[0].ry);
-		var that = this;
-		points.forEach(function(point) {
-			that.ctx.lineTo(point.rx, point.ry);
+
+		// Each run of points between missing ones is filled seperately
+		var that = this,
+			bottom = this.box.y + this.box.y1 + ((style.line.fillToBaseLine) ? this.options.padding : 0),
+			curve = Aristochart._curve(style.line.interpolation);
+
+		Aristochart._segments(points).forEach(function(points) {
+			// The top of the fill follows the same curve as the stroke
+			that.ctx.moveTo(points[0].rx, points[0].ry);
+			curve.call(that, that.ctx, points, style.line);
+
+			//Stacked lines fill back along the line below with the same curve, otherwise find bounding box
+			if(points[0].rbase != undefined) {
+				var base = points.map(function(point) { return { rx: point.rx, ry: point.rbase }; }).reverse();
+
+				that.ctx.lineTo(base[0].rx, base[0].ry);
+				Aristochart._curve(style.line.interpolation, true).call(that, that.ctx, base, style.line);
+			} else {
+				that.ctx.lineTo(points[points.length - 1].rx, bottom);
+				that.ctx.lineTo(points[0].rx, bottom);
+			}
+			that.ctx.closePath();
 		});
 
-		//Find bounding box
-		this.ctx.lineTo(points[points.length - 1].rx, this.box.y + this.box.y1 + ((style.line.fillToBaseLine) ? this.options.padding : 0));
-		this.ctx.lineTo(points[0].rx, this.box.y + this.box.y1 + ((style.line.fillToBaseLine) ? this.options.padding : 0));
-		this.ctx.closePath();
 		this.ctx.fill();
 		this.ctx.restore();
 
 	}
 };
 
+Aristochart.bar = {
+	rect: function(style, points, offset, width, base) {
+		this.ctx.save();
+		this.ctx.fillStyle = style.bar.fill;
+		this.ctx.strokeStyle = style.bar.stroke;
+		this.ctx.lineWidth = style.bar.width * this.resolution;
+		var that = this;
+		points.forEach(function(point) {
+			if(point.missing) return;
+
+			// Stacked bars sit on the line below
+			var from = (point.rbase != undefined) ? point.rbase : base;
+
+			that.ctx.beginPath();
+			that.ctx.rect(point.rx + offset, from, width, point.ry - from);
+			that.ctx.fill();
+			if(style.bar.width) that.ctx.stroke();
+		});
+		this.ctx.restore();
+	}
+};
+
 Aristochart.tick = {
-	line: function(style, x, y, type, i) {
+	line: function(style, x, y, type, i, tick) {
 		this.ctx.save();
 		this.ctx.strokeStyle = style.tick.stroke;
 		this.ctx.lineWidth = style.tick.width * this.resolution;
 		this.ctx.beginPath();
 
-		var length = (i % 2 == 0) ? style.tick.major : style.tick.minor;
+		var minor = Aristochart._minorTick(tick, i),
+			length = (minor) ? style.tick.minor : style.tick.major;
 			length *= this.resolution;
 
 		// Sort out the alignment
@@ -434,12 +2846,12 @@ Aristochart.tick = {
 		switch(style.tick.align) {
 			case "middle":
 				if(type == "x") my = y - (length/2);
-				if(type == "y") mx = x - (length/2);
+				if(type == "y" || type == "y2") mx = x - (length/2);
 			break;
 
 			case "inside":
 				if(type == "x") my = y - length;
-				mx = x;
+				mx = (type == "y2") ? x - length : x;
 			break;
 
 			case "outside":
@@ -457,6 +2869,23 @@ Aristochart.tick = {
 	}
 };
 
+Aristochart.grid = {
+	line: function(style, x, y, x1, y1, type, minor) {
+		var grid = style.grid[type][(minor) ? "minor" : "major"],
+			resolution = this.resolution;
+
+		this.ctx.save();
+		this.ctx.strokeStyle = grid.stroke;
+		this.ctx.lineWidth = grid.width * resolution;
+		if(this.ctx.setLineDash) this.ctx.setLineDash(grid.dash.map(function(length) { return length * resolution; }));
+		this.ctx.beginPath();
+		this.ctx.moveTo(x, y);
+		this.ctx.lineTo(x1, y1);
+		this.ctx.stroke();
+		this.ctx.restore();
+	}
+};
+
 Aristochart.axis = {
 	line: function(style, x, y, x1, y1, type) {
 		this.ctx.save();
@@ -476,14 +2905,14 @@ Aristochart.label = {
 			var label = style.label[type];
 			if(type == "x") y = y + (style.tick.major + label.offsetY)*this.resolution;
 			if(type == "y") x = x - (style.tick.major + label.offsetX)*this.resolution, y += label.offsetY*this.resolution;
+			if(type == "y2") x = x + (style.tick.major + label.offsetX)*this.resolution, y += label.offsetY*this.resolution;
 
 			this.ctx.font = label.fontStyle + " " + (label.fontSize*this.resolution) + "px " + label.font;
 			this.ctx.fillStyle = label.color;
 			this.ctx.textAlign = label.align;
 			this.ctx.textBaseline = label.baseline;
 
-			var substr = /(\-?\d+(\.\d)?)/.exec(text) || [];
-			this.ctx.fillText(substr[0], x, y);
+			this.ctx.fillText(text, x, y);
 		}
 	}
 };
@@ -496,26 +2925,481 @@ Aristochart.title = {
 			x += style.title.x.offsetX;
 		if(type == "y") y += style.title.y.offsetY,
 			x += style.title.y.offsetX;
+		if(type == "y2") y += style.title.y2.offsetY,
+			x += style.title.y2.offsetX;
 
 		this.ctx.font = style.title.fontStyle + " " + (style.title.fontSize*this.resolution) + "px " + style.title.font;
 		this.ctx.fillStyle = style.title.color;
 
 		this.ctx.translate(x, y);
-		if(type == "y") this.ctx.rotate(Math.PI/2);
+		if(type == "y" || type == "y2") this.ctx.rotate(Math.PI/2);
 
 		this.ctx.fillText(text, 0, 0);
 		this.ctx.restore();
 	}
 }
 
+Aristochart.annotation = {
+	line: function(style, x, y, x1, y1, text) {
+		var line = style.annotation.line,
+			resolution = this.resolution;
+
+		this.ctx.save();
+		this.ctx.strokeStyle = line.stroke;
+		this.ctx.lineWidth = line.width * resolution;
+		if(this.ctx.setLineDash) this.ctx.setLineDash(line.dash.map(function(length) { return length * resolution; }));
+		this.ctx.beginPath();
+		this.ctx.moveTo(x, y);
+		this.ctx.lineTo(x1, y1);
+		this.ctx.stroke();
+		this.ctx.restore();
+
+		// Label horizontal lines at the right end and vertical lines at the top
+		if(text) {
+			if(y == y1) Aristochart.annotation.text.call(this, style, text, x1, y, "right", "bottom");
+			else Aristochart.annotation.text.call(this, style, text, x, y, "left", "top");
+		}
+	},
+
+	band: function(style, x, y, width, height, text) {
+		this.ctx.save();
+		this.ctx.fillStyle = style.annotation.band.fill;
+		this.ctx.fillRect(x, y, width, height);
+		this.ctx.restore();
+
+		if(text) Aristochart.annotation.text.call(this, style, text, x, y, "left", "top");
+	},
+
+	marker: function(style, x, y, text) {
+		var marker = style.annotation.marker;
+
+		this.ctx.save();
+		this.ctx.fillStyle = marker.fill;
+		this.ctx.strokeStyle = marker.stroke;
+		this.ctx.lineWidth = marker.width * this.resolution;
+		this.ctx.beginPath();
+		this.ctx.arc(x, y, marker.radius * this.resolution, 0, Math.PI*2, true);
+		this.ctx.fill();
+		this.ctx.stroke();
+		this.ctx.restore();
+
+		if(text) Aristochart.annotation.text.call(this, style, text, x, y - (marker.radius * this.resolution), "center", "bottom");
+	},
+
+	// Labels are offset away from the corner they're aligned to
+	text: function(style, text, x, y, align, baseline) {
+		var label = style.annotation.label;
+
+		this.ctx.save();
+		this.ctx.font = label.fontStyle + " " + (label.fontSize*this.resolution) + "px " + label.font;
+		this.ctx.fillStyle = label.color;
+		this.ctx.textAlign = align;
+		this.ctx.textBaseline = baseline;
+
+		if(align == "left") x += label.offsetX * this.resolution;
+		if(align == "right") x -= label.offsetX * this.resolution;
+		if(baseline == "top") y += label.offsetY * this.resolution;
+		else y -= label.offsetY * this.resolution;
+
+		this.ctx.fillText(text, x, y);
+		this.ctx.restore();
+	}
+};
+
+Aristochart.legend = {
+	box: function(style, items, x, y, width, height) {
+		var legend = style.legend,
+			size = legend.fontSize * this.resolution,
+			spacing = legend.padding * this.resolution,
+			swatch = legend.swatch * this.resolution,
+			that = this;
+
+		this.ctx.save();
+		this.ctx.fillStyle = legend.background;
+		this.ctx.strokeStyle = legend.stroke;
+		this.ctx.lineWidth = legend.width * this.resolution;
+		this.ctx.fillRect(x, y, width, height);
+		if(legend.width) this.ctx.strokeRect(x, y, width, height);
+
+		this.ctx.font = legend.fontStyle + " " + size + "px " + legend.font;
+		this.ctx.textAlign = "left";
+		this.ctx.textBaseline = "middle";
+
+		items.forEach(function(item) {
+			var sx = x + spacing,
+				cy = (item.y + item.y1)/2;
+
+			// Fade out the hidden lines
+			that.ctx.globalAlpha = (item.hidden) ? 0.3 : 1;
+
+			if(item.style.bar.visible) that.ctx.fillStyle = item.style.bar.fill, that.ctx.fillRect(sx, item.y, swatch, size);
+			else if(item.style.line.fill) that.ctx.fillStyle = item.style.line.fill, that.ctx.fillRect(sx, item.y, swatch, size);
+
+			if(item.style.line.visible) {
+				that.ctx.strokeStyle = item.style.line.stroke;
+				that.ctx.lineWidth = item.style.line.width * that.resolution;
+				that.ctx.beginPath();
+				that.ctx.moveTo(sx, cy);
+				that.ctx.lineTo(sx + swatch, cy);
+				that.ctx.stroke();
+			}
+
+			if(item.style.point.visible) that.options.point.render.call(that, item.style, sx + (swatch/2), cy, undefined, undefined, item.line);
+
+			that.ctx.fillStyle = legend.color;
+			that.ctx.fillText(item.name, sx + swatch + spacing, cy);
+		});
+
+		this.ctx.restore();
+	}
+};
+
+Aristochart.tooltip = {
+	box: function(style, entries) {
+		var tooltip = style.tooltip,
+			size = tooltip.fontSize * this.resolution,
+			padding = tooltip.padding * this.resolution,
+			that = this,
+			width = 0;
+
+		// Highlight the points with the line's point render function
+		if(tooltip.highlight) entries.forEach(function(entry) {
+			if(!entry.point.missing) that.options.point.render.call(that, that.options.style[entry.line] || style, entry.point.rx, entry.point.ry, entry.point.x, entry.point.y, entry.line);
+		});
+
+		this.ctx.save();
+		this.ctx.font = tooltip.fontStyle + " " + size + "px " + tooltip.font;
+		this.ctx.textAlign = "left";
+		this.ctx.textBaseline = "top";
+
+		entries.forEach(function(entry) { width = Math.max(width, that.ctx.measureText(entry.text).width); });
+		width += padding * 2;
+
+		// Place it beside the point, flipping it to stay on the canvas. Missing
+		// points have no y so it goes at the top of the graph.
+		var point = (entries.filter(function(entry) { return !entry.point.missing; })[0] || entries[0]).point,
+			py = (point.missing) ? this.box.y : point.ry,
+			height = (entries.length * (size + padding)) + padding,
+			x = point.rx + padding,
+			y = py - height - padding;
+
+		if(x + width > this.canvas.width) x = point.rx - width - padding;
+		if(y < 0) y = py + padding;
+
+		this.ctx.fillStyle = tooltip.background;
+		this.ctx.fillRect(x, y, width, height);
+
+		this.ctx.fillStyle = tooltip.color;
+		entries.forEach(function(entry, i) {
+			that.ctx.fillText(entry.text, x + padding, y + padding + (i * (size + padding)));
+		});
+
+		this.ctx.restore();
+	},
+
+	text: function(name, point, line) {
+		var formatX = (this.options.axis.x.type == "time") ? this.options.label.x.timeFormat : this.options.label.x.format;
+		return name + ": " + formatX.call(this, point.x) + ", " + ((point.missing) ? "missing" : this.options.label[this.getAxis(line)].format.call(this, point.y));
+	}
+};
+
+/**
+ * Estimate the width of some text from the size in a CSS font string, for
+ * drawing surfaces without a canvas to measure with.
+ * @param  {String} font The CSS font, e.g. "italic 16px georgia"
+ * @param  {String} text
+ * @return {Object}      The text metrics, { width }
+ */
+Aristochart._measureText = function(font, text) {
+	var size = parseFloat((String(font).match(/([\d.]+)px/) || [])[1]) || 10;
+	return { width: String(text).length * size * 0.6 };
+};
+
+/**
+ * A drawing surface that records every drawing call and style change as a
+ * serialisable list of commands, for rendering without the DOM. Pass it as
+ * options.context and replay the commands through an adapter or assert on
+ * them in tests. Clearing the whole surface starts a new list.
+ *
+ * Calls are recorded as { method, args } and style changes as
+ * { property, value }.
+ *
+ * @param {Number} width  The width of the surface, set by Aristochart
+ * @param {Number} height The height of the surface, set by Aristochart
+ */
+Aristochart.RecordingContext = function(width, height) {
+	this.canvas = { width: width || 300, height: height || 150 };
+	this.commands = [];
+	this.values = {
+		fillStyle: "#000",
+		strokeStyle: "#000",
+		lineWidth: 1,
+		lineCap: "butt",
+		lineJoin: "miter",
+		font: "10px sans-serif",
+		textAlign: "start",
+		textBaseline: "alphabetic",
+		globalAlpha: 1
+	};
+	this.stack = [];
+};
+
+/**
+ * The drawing calls recorded.
+ */
+Aristochart.RecordingContext.methods = ["translate", "rotate", "scale", "beginPath", "moveTo", "lineTo", "arc", "arcTo", "bezierCurveTo", "quadraticCurveTo", "closePath", "rect", "clip", "fill", "stroke", "fillRect", "strokeRect", "fillText", "strokeText", "setLineDash", "drawImage"];
+
+Aristochart.RecordingContext.methods.forEach(function(method) {
+	Aristochart.RecordingContext.prototype[method] = function() {
+		this.commands.push({ method: method, args: Array.prototype.slice.call(arguments) });
+	};
+});
+
+// The style properties are recorded as they're set
+["fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin", "font", "textAlign", "textBaseline", "globalAlpha"].forEach(function(property) {
+	Object.defineProperty(Aristochart.RecordingContext.prototype, property, {
+		get: function() { return this.values[property]; },
+		set: function(value) {
+			this.values[property] = value;
+			this.commands.push({ property: property, value: value });
+		}
+	});
+});
+
+Aristochart.RecordingContext.prototype.save = function() {
+	this.stack.push(Aristochart._deepMerge(this.values, {}));
+	this.commands.push({ method: "save", args: [] });
+};
+
+Aristochart.RecordingContext.prototype.restore = function() {
+	if(this.stack.length) this.values = this.stack.pop();
+	this.commands.push({ method: "restore", args: [] });
+};
+
+Aristochart.RecordingContext.prototype.clearRect = function(x, y, width, height) {
+	if(x <= 0 && y <= 0 && width >= this.canvas.width && height >= this.canvas.height) this.commands = [];
+	this.commands.push({ method: "clearRect", args: [x, y, width, height] });
+};
+
+Aristochart.RecordingContext.prototype.measureText = function(text) {
+	return Aristochart._measureText(this.values.font, text);
+};
+
+/**
+ * Replay the recorded commands onto another 2D context, e.g. node-canvas.
+ * @param  {Object} ctx The context to draw to
+ */
+Aristochart.RecordingContext.prototype.replay = function(ctx) {
+	this.commands.forEach(function(command) {
+		if(command.method) ctx[command.method].apply(ctx, command.args);
+		else ctx[command.property] = command.value;
+	});
+};
+
+Aristochart.RecordingContext.prototype.toJSON = function() {
+	return this.commands;
+};
+
+/**
+ * A drawing surface that records the canvas calls the render functions make
+ * and writes them out as an SVG document. It implements the parts of the
+ * CanvasRenderingContext2D the render functions use so anything drawn to
+ * <instance>.ctx can be drawn to SVG instead. See <instance>.toSVG.
+ *
+ * @param {Number} width   The width of the surface in raster pixels
+ * @param {Number} height  The height of the surface in raster pixels
+ * @param {Object} measure A canvas context to measure text with (optional)
+ */
+Aristochart.SVGContext = function(width, height, measure) {
+	this.width = width;
+	this.height = height;
+	this.measure = measure;
+
+	this.elements = [];
+	this.defs = [];
+	this.path = [];
+	this.stack = [];
+
+	this.fillStyle = "#000";
+	this.strokeStyle = "#000";
+	this.lineWidth = 1;
+	this.font = "10px sans-serif";
+	this.textAlign = "start";
+	this.textBaseline = "alphabetic";
+	this.globalAlpha = 1;
+	this.transform = "";
+	this.clipPath = null;
+	this.dash = [];
+};
+
+/**
+ * The drawing state saved and restored with save and restore.
+ */
+Aristochart.SVGContext.state = ["fillStyle", "strokeStyle", "lineWidth", "font", "textAlign", "textBaseline", "globalAlpha", "transform", "clipPath", "dash"];
+
+/**
+ * Escape text for use in SVG markup.
+ * @param  {String} text
+ * @return {String}
+ */
+Aristochart.SVGContext.escape = function(text) {
+	return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+};
+
+Aristochart.SVGContext.prototype.save = function() {
+	var that = this, state = {};
+	Aristochart.SVGContext.state.forEach(function(key) { state[key] = that[key]; });
+	this.stack.push(state);
+};
+
+Aristochart.SVGContext.prototype.restore = function() {
+	var state = this.stack.pop();
+	if(state) for(var key in state) this[key] = state[key];
+};
+
+Aristochart.SVGContext.prototype.translate = function(x, y) {
+	this.transform += "translate(" + x + " " + y + ")";
+};
+
+Aristochart.SVGContext.prototype.rotate = function(angle) {
+	this.transform += "rotate(" + (angle * 180/Math.PI) + ")";
+};
+
+Aristochart.SVGContext.prototype.clearRect = function(x, y, width, height) {
+	// Only clearing the whole surface is supported
+	if(x <= 0 && y <= 0 && width >= this.width && height >= this.height) this.elements = [], this.defs = [];
+};
+
+Aristochart.SVGContext.prototype.setLineDash = function(dash) {
+	this.dash = dash.slice();
+};
+
+Aristochart.SVGContext.prototype.beginPath = function() {
+	this.path = [];
+};
+
+Aristochart.SVGContext.prototype.moveTo = function(x, y) {
+	this.path.push("M" + x + " " + y);
+};
+
+Aristochart.SVGContext.prototype.lineTo = function(x, y) {
+	this.path.push((this.path.length ? "L" : "M") + x + " " + y);
+};
+
+Aristochart.SVGContext.prototype.bezierCurveTo = function(cp1x, cp1y, cp2x, cp2y, x, y) {
+	this.path.push("C" + cp1x + " " + cp1y + " " + cp2x + " " + cp2y + " " + x + " " + y);
+};
+
+Aristochart.SVGContext.prototype.closePath = function() {
+	if(this.path.length) this.path.push("Z");
+};
+
+Aristochart.SVGContext.prototype.rect = function(x, y, width, height) {
+	this.path.push("M" + x + " " + y + "h" + width + "v" + height + "h" + (-width) + "Z");
+};
+
+Aristochart.SVGContext.prototype.arc = function(x, y, radius, start, end, anticlockwise) {
+	var sweep = anticlockwise ? 0 : 1,
+		delta = anticlockwise ? start - end : end - start,
+		point = function(angle) { return (x + radius * Math.cos(angle)) + " " + (y + radius * Math.sin(angle)); };
+
+	this.path.push((this.path.length ? "L" : "M") + point(start));
+
+	// A full circle can't be drawn with a single arc so draw it in halves
+	if(delta >= Math.PI*2 || delta <= -Math.PI*2) {
+		var half = start + (anticlockwise ? -Math.PI : Math.PI);
+		this.path.push("A" + radius + " " + radius + " 0 0 " + sweep + " " + point(half));
+		this.path.push("A" + radius + " " + radius + " 0 0 " + sweep + " " + point(start));
+	} else {
+		delta = ((delta % (Math.PI*2)) + Math.PI*2) % (Math.PI*2);
+		this.path.push("A" + radius + " " + radius + " 0 " + ((delta > Math.PI) ? 1 : 0) + " " + sweep + " " + point(end));
+	}
+};
+
+Aristochart.SVGContext.prototype.clip = function() {
+	var id = "aristochart-clip-" + this.defs.length;
+	this.defs.push('<clipPath id="' + id + '"><path d="' + this.path.join("") + '"/></clipPath>');
+	this.clipPath = id;
+};
+
+Aristochart.SVGContext.prototype.fill = function() {
+	if(this.path.length) this.elements.push('<path d="' + this.path.join("") + '" fill="' + this.fillStyle + '" stroke="none"' + this.attributes() + '/>');
+};
+
+Aristochart.SVGContext.prototype.stroke = function() {
+	if(this.path.length) this.elements.push('<path d="' + this.path.join("") + '" fill="none" stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '"' + ((this.dash.length) ? ' stroke-dasharray="' + this.dash.join(" ") + '"' : "") + this.attributes() + '/>');
+};
+
+Aristochart.SVGContext.prototype.fillRect = function(x, y, width, height) {
+	this.elements.push('<rect x="' + x + '" y="' + y + '" width="' + width + '" height="' + height + '" fill="' + this.fillStyle + '"' + this.attributes() + '/>');
+};
+
+Aristochart.SVGContext.prototype.strokeRect = function(x, y, width, height) {
+	this.elements.push('<rect x="' + x + '" y="' + y + '" width="' + width + '" height="' + height + '" fill="none" stroke="' + this.strokeStyle + '" stroke-width="' + this.lineWidth + '"' + this.attributes() + '/>');
+};
+
+Aristochart.SVGContext.prototype.fillText = function(text, x, y) {
+	var anchor = { left: "start", start: "start", center: "middle", right: "end", end: "end" }[this.textAlign] || "start",
+		baseline = { top: "hanging", hanging: "hanging", middle: "central", bottom: "text-after-edge", ideographic: "ideographic" }[this.textBaseline] || "alphabetic";
+
+	this.elements.push('<text x="' + x + '" y="' + y + '" fill="' + this.fillStyle + '" style="font: ' + Aristochart.SVGContext.escape(this.font) + '" text-anchor="' + anchor + '" dominant-baseline="' + baseline + '"' + this.attributes() + '>' + Aristochart.SVGContext.escape(text) + '</text>');
+};
+
+Aristochart.SVGContext.prototype.drawImage = function(image, x, y, width, height) {
+	var src = (image.toDataURL) ? image.toDataURL() : image.src;
+	if(!src) return;
+
+	this.elements.push('<image href="' + Aristochart.SVGContext.escape(src) + '" x="' + x + '" y="' + y + '" width="' + ((width != undefined) ? width : image.width) + '" height="' + ((height != undefined) ? height : image.height) + '"' + this.attributes() + '/>');
+};
+
+Aristochart.SVGContext.prototype.measureText = function(text) {
+	if(this.measure) {
+		this.measure.save();
+		this.measure.font = this.font;
+		var metrics = this.measure.measureText(text);
+		this.measure.restore();
+		return metrics;
+	}
+
+	return Aristochart._measureText(this.font, text);
+};
+
+/**
+ * The attributes shared by every element for the current state.
+ * @return {String}
+ */
+Aristochart.SVGContext.prototype.attributes = function() {
+	return ((this.transform) ? ' transform="' + this.transform + '"' : "") +
+		((this.globalAlpha < 1) ? ' opacity="' + this.globalAlpha + '"' : "") +
+		((this.clipPath) ? ' clip-path="url(#' + this.clipPath + ')"' : "");
+};
+
+/**
+ * Write out the SVG document.
+ * @param  {Number} width  The display width, defaults to the surface width
+ * @param  {Number} height The display height, defaults to the surface height
+ * @return {String}        The SVG markup
+ */
+Aristochart.SVGContext.prototype.toString = function(width, height) {
+	return '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="' + (width || this.width) + '" height="' + (height || this.height) + '" viewBox="0 0 ' + this.width + ' ' + this.height + '">' +
+		((this.defs.length) ? "<defs>" + this.defs.join("") + "</defs>" : "") +
+		this.elements.join("") +
+		"</svg>";
+};
+
 /**
  * jQuery support
  */
-if(window.jQuery) jQuery.fn.aristochart = function(options, theme) {
+if(typeof window != "undefined" && window.jQuery) jQuery.fn.aristochart = function(options, theme) {
 	if(this.length > 1) this.each(function(elem) { new Aristochart(this[0], options, theme) });
 	else return new Aristochart(this[0], options, theme);
 }
 
+/**
+ * CommonJS support, for rendering in Node with options.context
+ */
+if(typeof module != "undefined" && module.exports) module.exports = Aristochart;
+
 /**
  * Aristochart theme object
  * @type {Object}
@@ -532,12 +3416,49 @@ Aristochart.themes.default = {
 	margin: 70,
 	padding: 20,
 	render: true, //Automatically render
+	responsive: false, //Fit the width of the container keeping the aspect ratio or "fill" to fill it
+	stack: false, //"absolute" or "percent" to stack the lines on top of each other
+
+	accessibility: {
+		description: true, //Describe the lines in the canvas' aria-label for screen readers
+		table: false, //Add a visually hidden table of the data after the canvas
+		throttle: 500 //Milliseconds to wait before catching up with changed data, 0 to update straight away
+	},
+
+	stream: { //Appending data with <instance>.append
+		size: 0, //Keep the last n values of each line, 0 to keep them all
+		time: 0, //Keep the values within this x distance of the newest, 0 to keep them all
+		autoScale: true //Rescale y to the appended data or keep it fixed
+	},
+
+	zoom: {
+		enabled: false, //Zoom with the mouse wheel or pinching and pan by dragging
+		xOnly: false, //Only zoom and pan along x
+		speed: 0.1, //The zoom per mouse wheel step
+		minRange: 0, //The smallest x range that can be zoomed in to
+		maxRange: 0 //The largest x range that can be zoomed out to, 0 for the whole graph
+	},
+
+	downsample: {
+		algorithm: Aristochart.downsample.lttb, //Aristochart.downsample.minmax or false to disable
+		density: 1 //Points kept per raster pixel of the box width
+	},
+
+	grid: {
+		index: -1, //Behind everything
+		render: Aristochart.grid.line
+	},
 
 	fill: {
 		index: 0,
 		render: Aristochart.line.fill
 	},
 
+	bar: {
+		index: 0.5, //Between the fill and the axis
+		render: Aristochart.bar.rect
+	},
+
 	axis: {
 		index: 1,
 		render: Aristochart.axis.line,
@@ -545,11 +3466,30 @@ Aristochart.themes.default = {
 		x: {
 			steps: 5,
 			render: Aristochart.axis.line,
+			type: "linear", //"time" for epoch milliseconds or Date x values
+			utcOffset: "local", //The timezone of a time axis, minutes from UTC or "local"
+			ticks: "nice", //Round ticks about spacing pixels apart or "steps" to split the axis evenly into steps
+			spacing: 100
 		},
 
 		y: {
 			steps: 10,
 			render: Aristochart.axis.line,
+			ticks: "nice", //Also extends the bounds out to round numbers
+			spacing: 30,
+			scale: "linear", //"log" or "symlog" for a symmetric log scale that handles zero and negatives
+			base: 10, //The base of log scales
+			constant: 1 //The size of the linear region around zero of symlog scales
+		},
+
+		y2: { //The secondary y axis on the right for lines with style.<line>.yAxis "y2"
+			steps: 10,
+			render: Aristochart.axis.line,
+			ticks: "nice",
+			spacing: 30,
+			scale: "linear",
+			base: 10,
+			constant: 1
 		}
 	},
 
@@ -565,17 +3505,24 @@ Aristochart.themes.default = {
 
 	point: {
 		index: 4,
-		render: Aristochart.point.circle
+		render: Aristochart.point.marker
 	},
 
 	label: {
 		index: 5,
 		render: Aristochart.label.text,
 		x: {
-			step: 1
+			step: 1,
+			format: Aristochart.format.number(1), //See Aristochart.format
+			timeFormat: Aristochart.format.time() //The format for time axes
 		},
 		y: {
-			step: 1
+			step: 1,
+			format: Aristochart.format.number(1)
+		},
+		y2: {
+			step: 1,
+			format: Aristochart.format.number(1)
 		}
 	},
 
@@ -583,16 +3530,43 @@ Aristochart.themes.default = {
 		index: 6,
 		render: Aristochart.title.text,
 		x: "x",
-		y: "y"
+		y: "y",
+		y2: "y2"
+	},
+
+	legend: {
+		index: 6.5,
+		render: Aristochart.legend.box,
+		names: {} //Display names, <line> : <name>
+	},
+
+	tooltip: {
+		index: 6.75,
+		render: Aristochart.tooltip.box,
+		formatter: Aristochart.tooltip.text, //The tooltip text for a point
+		mode: "nearest", //"series" shows the nearest point along x in each line
+		radius: 30 //The distance in pixels from the pointer to the nearest point
+	},
+
+	annotation: {
+		index: 2.5, //Over the axis and ticks, under the lines
+		line: Aristochart.annotation.line,
+		band: Aristochart.annotation.band,
+		marker: Aristochart.annotation.marker,
+		items: [] //{type: "line", y or x}, {type: "band", y or x: [from, to]} or {type: "marker", x, y}, each with an optional label, axis and style
 	},
 
 	style: {
 		default: {
+			yAxis: "y", //"y2" to plot the line against the secondary y axis on the right
+			missing: "gap", //How null, undefined and NaN values are drawn. "gap" breaks the line, "connect" bridges the gap and "zero" treats them as 0.
+
 			point: {
 				stroke: "#000",
 				fill: "#fff",
 				radius: 4,
 				width: 3,
+				shape: "circle", //"circle", "square", "diamond", "triangleUp", "triangleDown", "cross", "plus", "star", a path function(ctx, rx, ry, radius, style) or an image
 				visible: true
 			},
 
@@ -601,9 +3575,20 @@ Aristochart.themes.default = {
 				width: 3,
 				fill: "rgba(150, 215, 226, 0.4)",
 				fillToBaseLine: true,
+				interpolation: "linear", //"linear", "monotone", "catmullRom", "step-before", "step-after", "step-middle" or a function(ctx, points, style)
+				tension: 0.5, //Tension of the catmullRom interpolation
 				visible: true
 			},
 
+			bar: {
+				stroke: "#298281",
+				fill: "rgba(41, 130, 129, 0.8)",
+				width: 0,
+				size: 0.8, //Fraction of the space between x values the group of bars fill
+				gap: 2, //Gap between grouped bars in pixels
+				visible: false
+			},
+
 			axis: {
 				stroke: "#ddd",
 				width: 3,
@@ -617,6 +3602,46 @@ Aristochart.themes.default = {
 				y: {
 					visible: true,
 					fixed: true
+				},
+
+				y2: {
+					visible: true
+				}
+			},
+
+			grid: {
+				visible: false, //Gridlines across the graph at the ticks
+
+				x: {
+					major: {
+						stroke: "#eee",
+						width: 1,
+						dash: [], //The dash pattern in pixels, [] for a solid line
+						visible: true
+					},
+
+					minor: {
+						stroke: "#f4f4f4",
+						width: 1,
+						dash: [2, 4],
+						visible: false
+					}
+				},
+
+				y: {
+					major: {
+						stroke: "#eee",
+						width: 1,
+						dash: [],
+						visible: true
+					},
+
+					minor: {
+						stroke: "#f4f4f4",
+						width: 1,
+						dash: [2, 4],
+						visible: false
+					}
 				}
 			},
 
@@ -662,6 +3687,18 @@ Aristochart.themes.default = {
 					offsetX: 8,
 					visible: true,
 					fixed: true
+				},
+
+				y2: {
+					font: "Helvetica",
+					fontSize: 10,
+					fontStyle: "normal",
+					color: "#000",
+					align: "center",
+					baseline: "bottom",
+					offsetY: 8,
+					offsetX: 8,
+					visible: true
 				}
 			},
 
@@ -682,6 +3719,68 @@ Aristochart.themes.default = {
 					offsetX: -135,
 					offsetY: 10,
 					visible: true
+				},
+
+				y2: {
+					offsetX: 110,
+					offsetY: 10,
+					visible: true
+				}
+			},
+
+			legend: {
+				font: "Helvetica",
+				fontSize: 12,
+				fontStyle: "normal",
+				color: "#000",
+				background: "rgba(255, 255, 255, 0.8)",
+				stroke: "#ddd",
+				width: 1,
+				padding: 6,
+				swatch: 20,
+				position: "top-right", //"top-left", "bottom-left", "bottom-right"
+				inside: true, //Inside the graph or outside beside the axis
+				visible: false
+			},
+
+			tooltip: {
+				font: "Helvetica",
+				fontSize: 12,
+				fontStyle: "normal",
+				color: "#fff",
+				background: "rgba(0, 0, 0, 0.7)",
+				padding: 6,
+				highlight: true, //Redraw the hovered points over the tooltip
+				visible: false
+			},
+
+			annotation: {
+				visible: true,
+
+				line: {
+					stroke: "#c0392b",
+					width: 2,
+					dash: [6, 4] //The dash pattern in pixels, [] for a solid line
+				},
+
+				band: {
+					fill: "rgba(192, 57, 43, 0.1)"
+				},
+
+				marker: {
+					fill: "#c0392b",
+					stroke: "#fff",
+					radius: 5,
+					width: 2
+				},
+
+				label: {
+					font: "Helvetica",
+					fontSize: 11,
+					fontStyle: "normal",
+					color: "#c0392b",
+					offsetX: 4,
+					offsetY: 4
 				}
 			}
 		}
@@ -11,6 +11,38 @@ Aristochart.themes.default = {
 	margin: 70,
 	padding: 20,
 	render: true, //Automatically render
+	responsive: false,
+	stack: false,
+
+	accessibility: {
+		description: true,
+		table: false,
+		throttle: 500
+	},
+
+	stream: {
+		size: 0,
+		time: 0,
+		autoScale: true
+	},
+
+	zoom: {
+		enabled: false,
+		xOnly: false,
+		speed: 0.1,
+		minRange: 0,
+		maxRange: 0
+	},
+
+	downsample: {
+		algorithm: Aristochart.downsample.lttb,
+		density: 1
+	},
+
+	grid: {
+		index: -1,
+		render: Aristochart.grid.line
+	},
 
 	fill: {
 		index: 0,
@@ -18,6 +50,11 @@ Aristochart.themes.default = {
 		fillToBaseLine: true,
 	},
 
+	bar: {
+		index: 0.5,
+		render: Aristochart.bar.rect
+	},
+
 	axis: {
 		index: 1,
 		render: Aristochart.axis.line,
@@ -25,11 +62,30 @@ Aristochart.themes.default = {
 		x: {
 			steps: 5,
 			render: Aristochart.axis.line,
+			type: "linear",
+			utcOffset: "local",
+			ticks: "nice",
+			spacing: 100
 		},
 
 		y: {
 			steps: 10,
 			render: Aristochart.axis.line,
+			ticks: "nice",
+			spacing: 30,
+			scale: "linear",
+			base: 10,
+			constant: 1
+		},
+
+		y2: {
+			steps: 10,
+			render: Aristochart.axis.line,
+			ticks: "nice",
+			spacing: 30,
+			scale: "linear",
+			base: 10,
+			constant: 1
 		}
 	},
 
@@ -45,17 +101,24 @@ Aristochart.themes.default = {
 
 	point: {
 		index: 4,
-		render: Aristochart.point.circle
+		render: Aristochart.point.marker
 	},
 
 	label: {
 		index: 5,
 		render: Aristochart.label.text,
 		x: {
-			step: 1
+			step: 1,
+			format: Aristochart.format.number(1),
+			timeFormat: Aristochart.format.time()
 		},
 		y: {
-			step: 1
+			step: 1,
+			format: Aristochart.format.number(1)
+		},
+		y2: {
+			step: 1,
+			format: Aristochart.format.number(1)
 		}
 	},
 
@@ -63,16 +126,43 @@ Aristochart.themes.default = {
 		index: 6,
 		render: Aristochart.title.text,
 		x: "x",
-		y: "y"
+		y: "y",
+		y2: "y2"
+	},
+
+	legend: {
+		index: 6.5,
+		render: Aristochart.legend.box,
+		names: {}
+	},
+
+	tooltip: {
+		index: 6.75,
+		render: Aristochart.tooltip.box,
+		formatter: Aristochart.tooltip.text,
+		mode: "nearest",
+		radius: 30
+	},
+
+	annotation: {
+		index: 2.5,
+		line: Aristochart.annotation.line,
+		band: Aristochart.annotation.band,
+		marker: Aristochart.annotation.marker,
+		items: []
 	},
 
 	style: {
 		default: {
+			yAxis: "y",
+			missing: "gap",
+
 			point: {
 				stroke: "#000",
 				fill: "#fff",
 				radius: 4,
 				width: 3,
+				shape: "circle",
 				visible: true
 			},
 
@@ -80,9 +170,21 @@ Aristochart.themes.default = {
 				stroke: "#298281",
 				width: 3,
 				fill: "rgba(150, 215, 226, 0.4)",
+				fillToBaseLine: true,
+				interpolation: "linear",
+				tension: 0.5,
 				visible: true
 			},
 
+			bar: {
+				stroke: "#298281",
+				fill: "rgba(41, 130, 129, 0.8)",
+				width: 0,
+				size: 0.8,
+				gap: 2,
+				visible: false
+			},
+
 			axis: {
 				stroke: "#ddd",
 				width: 3,
@@ -96,6 +198,46 @@ Aristochart.themes.default = {
 				y: {
 					visible: true,
 					fixed: true
+				},
+
+				y2: {
+					visible: true
+				}
+			},
+
+			grid: {
+				visible: false,
+
+				x: {
+					major: {
+						stroke: "#eee",
+						width: 1,
+						dash: [],
+						visible: true
+					},
+
+					minor: {
+						stroke: "#f4f4f4",
+						width: 1,
+						dash: [2, 4],
+						visible: false
+					}
+				},
+
+				y: {
+					major: {
+						stroke: "#eee",
+						width: 1,
+						dash: [],
+						visible: true
+					},
+
+					minor: {
+						stroke: "#f4f4f4",
+						width: 1,
+						dash: [2, 4],
+						visible: false
+					}
 				}
 			},
 
@@ -141,6 +283,18 @@ Aristochart.themes.default = {
 					offsetX: 8,
 					visible: true,
 					fixed: true
+				},
+
+				y2: {
+					font: "Helvetica",
+					fontSize: 10,
+					fontStyle: "normal",
+					color: "#000",
+					align: "center",
+					baseline: "bottom",
+					offsetY: 8,
+					offsetX: 8,
+					visible: true
 				}
 			},
 
@@ -161,6 +315,68 @@ Aristochart.themes.default = {
 					offsetX: -135,
 					offsetY: 10,
 					visible: true
+				},
+
+				y2: {
+					offsetX: 110,
+					offsetY: 10,
+					visible: true
+				}
+			},
+
+			legend: {
+				font: "Helvetica",
+				fontSize: 12,
+				fontStyle: "normal",
+				color: "#000",
+				background: "rgba(255, 255, 255, 0.8)",
+				stroke: "#ddd",
+				width: 1,
+				padding: 6,
+				swatch: 20,
+				position: "top-right",
+				inside: true,
+				visible: false
+			},
+
+			tooltip: {
+				font: "Helvetica",
+				fontSize: 12,
+				fontStyle: "normal",
+				color: "#fff",
+				background: "rgba(0, 0, 0, 0.7)",
+				padding: 6,
+				highlight: true,
+				visible: false
+			},
+
+			annotation: {
+				visible: true,
+
+				line: {
+					stroke: "#c0392b",
+					width: 2,
+					dash: [6, 4]
+				},
+
+				band: {
+					fill: "rgba(192, 57, 43, 0.1)"
+				},
+
+				marker: {
+					fill: "#c0392b",
+					stroke: "#fff",
+					radius: 5,
+					width: 2
+				},
+
+				label: {
+					font: "Helvetica",
+					fontSize: 11,
+					fontStyle: "normal",
+					color: "#c0392b",
+					offsetX: 4,
+					offsetY: 4
 				}
 			}
 		}
@@ -30,6 +30,22 @@ Aristochart.themes.dot = {
 				visible: false
 			},
 
+			grid: {
+				x: {
+					major: {
+						stroke: "#ddd",
+						dash: [1, 4]
+					}
+				},
+
+				y: {
+					major: {
+						stroke: "#ddd",
+						dash: [1, 4]
+					}
+				}
+			},
+
 			tick: {
 				align: "inside", //"outside", "inside",
 				stroke: "#ddd",
@@ -55,6 +55,23 @@ Aristochart.themes.flat = {
 				}
 			},
 
+			grid: {
+				x: {
+					major: {
+						stroke: "#f2f2f2",
+						width: 2,
+						visible: false
+					}
+				},
+
+				y: {
+					major: {
+						stroke: "#f2f2f2",
+						width: 2
+					}
+				}
+			},
+
 			tick: {
 				align: "inside", //"outside", "inside",
 				stroke: "#ddd",
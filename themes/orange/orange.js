@@ -42,6 +42,28 @@ Aristochart.themes.orange = {
 				radius: 3
 			},
 
+			grid: {
+				x: {
+					major: {
+						stroke: "rgba(0,0,0,0.08)"
+					},
+
+					minor: {
+						stroke: "rgba(0,0,0,0.04)"
+					}
+				},
+
+				y: {
+					major: {
+						stroke: "rgba(0,0,0,0.08)"
+					},
+
+					minor: {
+						stroke: "rgba(0,0,0,0.04)"
+					}
+				}
+			},
+
 			tick: {
 				align: "middle",
 				length: 8